@@ -26,10 +26,45 @@ if ( ! defined( 'ABSPATH' ) ) {
             <!-- Left Sidebar: Controls & Palette -->
             <div class="idtt-sidebar">
                 <div class="idtt-panel">
-                    <div class="idtt-panel-title"><?php echo esc_html__( 'Image Upload', 'image-to-design-tokens' ); ?></div>
+                    <div class="idtt-panel-title"><?php echo esc_html__( 'Source', 'image-to-design-tokens' ); ?></div>
 
+                    <div class="idtt-input-modes" role="group" aria-label="<?php echo esc_attr__( 'Input mode', 'image-to-design-tokens' ); ?>">
+                        <button type="button" class="idtt-tool-btn active" data-input-mode="image"><?php echo esc_html__( 'From image', 'image-to-design-tokens' ); ?></button>
+                        <button type="button" class="idtt-tool-btn" data-input-mode="colors"><?php echo esc_html__( 'From colors', 'image-to-design-tokens' ); ?></button>
+                    </div>
+
+                    <div id="idtt-image-pane">
                     <div class="idtt-thumbnail-container" id="idtt-thumbnail-container">
-                        <img class="idtt-thumbnail" id="idtt-thumbnail" alt="<?php echo esc_attr__( 'Uploaded image preview', 'image-to-design-tokens' ); ?>">
+                        <div class="idtt-thumbnail-stage">
+                            <img class="idtt-thumbnail" id="idtt-thumbnail" alt="<?php echo esc_attr__( 'Uploaded image preview', 'image-to-design-tokens' ); ?>">
+                            <canvas class="idtt-selection-canvas" id="idtt-selection-canvas"></canvas>
+                        </div>
+
+                        <div class="idtt-image-strip" id="idtt-image-strip"></div>
+
+                        <div class="idtt-selection-toolbar" id="idtt-selection-toolbar">
+                            <button type="button" class="idtt-tool-btn" data-tool="rect"><?php echo esc_html__( 'Rectangle', 'image-to-design-tokens' ); ?></button>
+                            <button type="button" class="idtt-tool-btn" data-tool="lasso"><?php echo esc_html__( 'Lasso', 'image-to-design-tokens' ); ?></button>
+                            <select id="idtt-selection-mode" class="idtt-select idtt-select-compact" aria-label="<?php echo esc_attr__( 'Selection mode', 'image-to-design-tokens' ); ?>">
+                                <option value="include"><?php echo esc_html__( 'Include', 'image-to-design-tokens' ); ?></option>
+                                <option value="exclude"><?php echo esc_html__( 'Exclude', 'image-to-design-tokens' ); ?></option>
+                            </select>
+                            <button type="button" class="idtt-tool-btn" id="idtt-selection-clear" disabled><?php echo esc_html__( 'Clear', 'image-to-design-tokens' ); ?></button>
+                            <button type="button" class="idtt-tool-btn" data-tool="eyedropper"><?php echo esc_html__( 'Eyedropper', 'image-to-design-tokens' ); ?></button>
+                            <select id="idtt-eyedropper-size" class="idtt-select idtt-select-compact" aria-label="<?php echo esc_attr__( 'Eyedropper sample size', 'image-to-design-tokens' ); ?>">
+                                <option value="1"><?php echo esc_html__( '1 px', 'image-to-design-tokens' ); ?></option>
+                                <option value="3"><?php echo esc_html__( '3×3 avg', 'image-to-design-tokens' ); ?></option>
+                                <option value="5"><?php echo esc_html__( '5×5 avg', 'image-to-design-tokens' ); ?></option>
+                            </select>
+                        </div>
+
+                        <div class="idtt-eyedropper-result" id="idtt-eyedropper-result">
+                            <div class="idtt-eyedropper-swatch"></div>
+                            <span class="idtt-eyedropper-hex"></span>
+                            <button type="button" class="idtt-tool-btn" data-action="add"><?php echo esc_html__( 'Add', 'image-to-design-tokens' ); ?></button>
+                            <button type="button" class="idtt-tool-btn" data-action="replace"><?php echo esc_html__( 'Replace…', 'image-to-design-tokens' ); ?></button>
+                            <button type="button" class="idtt-tool-btn" data-action="dismiss" aria-label="<?php echo esc_attr__( 'Dismiss picked color', 'image-to-design-tokens' ); ?>">×</button>
+                        </div>
                     </div>
 
                     <div class="idtt-upload-zone" id="idtt-upload-zone">
@@ -40,9 +75,34 @@ if ( ! defined( 'ABSPATH' ) ) {
                                 <polyline points="21 15 16 10 5 21"/>
                             </svg>
                         </div>
-                        <div class="idtt-upload-text"><?php echo esc_html__( 'Drop an image or click to upload', 'image-to-design-tokens' ); ?></div>
+                        <div class="idtt-upload-text"><?php echo esc_html__( 'Drop images or swatch files (.ase, .gpl, .aco) or click to upload', 'image-to-design-tokens' ); ?></div>
+                    </div>
+                    <div class="idtt-progress" id="idtt-extraction-progress" role="status" aria-live="polite">
+                        <div class="idtt-progress-track"><div class="idtt-progress-fill"></div></div>
+                        <div class="idtt-progress-label"></div>
+                    </div>
+                    <input type="file" id="idtt-file-input" accept="image/jpeg,image/png,image/webp,image/svg+xml,.ase,.gpl,.aco" multiple style="display:none;">
+
+                    <div class="idtt-field">
+                        <label class="idtt-field-label" for="idtt-algorithm-select"><?php echo esc_html__( 'Extraction Algorithm', 'image-to-design-tokens' ); ?></label>
+                        <select id="idtt-algorithm-select" class="idtt-select">
+                            <option value="median-cut"><?php echo esc_html__( 'Median cut (RGB)', 'image-to-design-tokens' ); ?></option>
+                            <option value="kmeans-oklab"><?php echo esc_html__( 'K-means (OKLab, perceptual)', 'image-to-design-tokens' ); ?></option>
+                        </select>
+                    </div>
+                    </div>
+
+                    <div id="idtt-colors-pane" hidden>
+                        <label class="idtt-field-label" for="idtt-colors-text"><?php echo esc_html__( 'One color per line, optionally followed by a role', 'image-to-design-tokens' ); ?></label>
+                        <textarea id="idtt-colors-text" class="idtt-colors-text" rows="7" spellcheck="false" placeholder="#0055ff primary&#10;oklch(0.97 0.01 90) background&#10;hsl(220 30% 12%) dark bg&#10;rgb(255 138 0) brand&#10;#6b7280"></textarea>
+                        <p class="idtt-palette-hint">
+                            <?php echo esc_html__( 'Accepts hex, rgb(), hsl() and oklch(). Roles: primary, brand, background, dark bg. Earlier lines count as more dominant.', 'image-to-design-tokens' ); ?>
+                        </p>
+                        <div class="idtt-colors-status" id="idtt-colors-status" role="status" aria-live="polite"></div>
+                        <button type="button" class="idtt-btn idtt-btn-primary" id="idtt-colors-apply">
+                            <?php echo esc_html__( 'Generate Tokens', 'image-to-design-tokens' ); ?>
+                        </button>
                     </div>
-                    <input type="file" id="idtt-file-input" accept="image/jpeg,image/png,image/webp" style="display:none;">
                 </div>
 
                 <div class="idtt-panel" style="margin-top: 16px;">
@@ -51,7 +111,57 @@ if ( ! defined( 'ABSPATH' ) ) {
                         <div class="idtt-palette-empty"><?php echo esc_html__( 'Upload an image to extract colors', 'image-to-design-tokens' ); ?></div>
                     </div>
                     <p class="idtt-palette-hint">
-                        <?php echo esc_html__( 'Click a swatch to lock it as primary.', 'image-to-design-tokens' ); ?>
+                        <?php echo esc_html__( 'Click a swatch to lock it as primary. Drag to reorder, or use the swatch buttons to edit and remove colors.', 'image-to-design-tokens' ); ?>
+                    </p>
+                </div>
+
+                <div class="idtt-panel" style="margin-top: 16px;">
+                    <div class="idtt-panel-title"><?php echo esc_html__( 'Accessibility', 'image-to-design-tokens' ); ?></div>
+                    <div class="idtt-field">
+                        <label class="idtt-field-label" for="idtt-contrast-model"><?php echo esc_html__( 'Contrast Model', 'image-to-design-tokens' ); ?></label>
+                        <select id="idtt-contrast-model" class="idtt-select">
+                            <option value="wcag"><?php echo esc_html__( 'WCAG 2.x ratio', 'image-to-design-tokens' ); ?></option>
+                            <option value="apca"><?php echo esc_html__( 'APCA lightness contrast (Lc)', 'image-to-design-tokens' ); ?></option>
+                        </select>
+                    </div>
+                    <div class="idtt-field" style="margin-top: 12px;">
+                        <label class="idtt-field-label" for="idtt-conformance-level"><?php echo esc_html__( 'Conformance Target', 'image-to-design-tokens' ); ?></label>
+                        <select id="idtt-conformance-level" class="idtt-select">
+                            <option value="AA Large" data-label="<?php echo esc_attr__( 'AA Large', 'image-to-design-tokens' ); ?>"><?php echo esc_html__( 'AA Large', 'image-to-design-tokens' ); ?></option>
+                            <option value="AA" data-label="<?php echo esc_attr__( 'AA', 'image-to-design-tokens' ); ?>" selected><?php echo esc_html__( 'AA', 'image-to-design-tokens' ); ?></option>
+                            <option value="AAA" data-label="<?php echo esc_attr__( 'AAA', 'image-to-design-tokens' ); ?>"><?php echo esc_html__( 'AAA', 'image-to-design-tokens' ); ?></option>
+                        </select>
+                    </div>
+                    <div class="idtt-field" style="margin-top: 12px;">
+                        <label class="idtt-field-label" for="idtt-cvd-simulation"><?php echo esc_html__( 'Color Vision Simulation', 'image-to-design-tokens' ); ?></label>
+                        <select id="idtt-cvd-simulation" class="idtt-select">
+                            <option value="none"><?php echo esc_html__( 'None', 'image-to-design-tokens' ); ?></option>
+                            <option value="protanopia"><?php echo esc_html__( 'Protanopia (no red cones)', 'image-to-design-tokens' ); ?></option>
+                            <option value="deuteranopia"><?php echo esc_html__( 'Deuteranopia (no green cones)', 'image-to-design-tokens' ); ?></option>
+                            <option value="tritanopia"><?php echo esc_html__( 'Tritanopia (no blue cones)', 'image-to-design-tokens' ); ?></option>
+                            <option value="achromatopsia"><?php echo esc_html__( 'Achromatopsia (no color)', 'image-to-design-tokens' ); ?></option>
+                        </select>
+                    </div>
+                </div>
+
+                <div class="idtt-panel" style="margin-top: 16px;">
+                    <div class="idtt-panel-title"><?php echo esc_html__( 'Theme Source', 'image-to-design-tokens' ); ?></div>
+                    <div class="idtt-field">
+                        <label class="idtt-field-label" for="idtt-theme-source-light"><?php echo esc_html__( 'Light Mode', 'image-to-design-tokens' ); ?></label>
+                        <select id="idtt-theme-source-light" class="idtt-select idtt-theme-source" data-mode="light">
+                            <option value="image"><?php echo esc_html__( 'From image', 'image-to-design-tokens' ); ?></option>
+                            <option value="derived"><?php echo esc_html__( 'Derived from dark mode', 'image-to-design-tokens' ); ?></option>
+                        </select>
+                    </div>
+                    <div class="idtt-field" style="margin-top: 12px;">
+                        <label class="idtt-field-label" for="idtt-theme-source-dark"><?php echo esc_html__( 'Dark Mode', 'image-to-design-tokens' ); ?></label>
+                        <select id="idtt-theme-source-dark" class="idtt-select idtt-theme-source" data-mode="dark">
+                            <option value="image"><?php echo esc_html__( 'From image', 'image-to-design-tokens' ); ?></option>
+                            <option value="derived"><?php echo esc_html__( 'Derived from light mode', 'image-to-design-tokens' ); ?></option>
+                        </select>
+                    </div>
+                    <p class="idtt-palette-hint">
+                        <?php echo esc_html__( 'Derived themes flip the other mode\'s lightness and keep a tint of the palette\'s dominant hue. Useful when an image has no darks, or no lights.', 'image-to-design-tokens' ); ?>
                     </p>
                 </div>
 
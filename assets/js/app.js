@@ -93,6 +93,112 @@
     return { h: h * 360, s, l };
   }
 
+  /**
+   * Convert HSL (h in degrees, s/l 0-1) to RGB
+   */
+  function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360 / 360;
+
+    if (s === 0) {
+      const v = Math.round(l * 255);
+      return { r: v, g: v, b: v };
+    }
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const hueToChannel = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+
+    return {
+      r: Math.round(hueToChannel(h + 1 / 3) * 255),
+      g: Math.round(hueToChannel(h) * 255),
+      b: Math.round(hueToChannel(h - 1 / 3) * 255)
+    };
+  }
+
+  let colorParserContext = null;
+
+  /**
+   * Parse a CSS color string to RGB
+   * Handles hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba() and hsl()/hsla()
+   * directly; anything else (named colors) is resolved through a canvas context.
+   * @returns {Object|null} { r, g, b, alpha } or null if it is not a color
+   */
+  function parseCssColor(value) {
+    if (typeof value !== 'string') return null;
+    const str = value.trim().toLowerCase();
+    if (!str || str === 'none' || str === 'transparent' || str === 'currentcolor') return null;
+
+    const hex = /^#([a-f\d]{3,4}|[a-f\d]{6}|[a-f\d]{8})$/.exec(str);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length <= 4) digits = digits.split('').map(d => d + d).join('');
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        alpha: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+      };
+    }
+
+    const fn = /^(rgba?|hsla?|oklch)\((.*)\)$/.exec(str);
+    if (fn) {
+      const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+      if (parts.length < 3) return null;
+
+      const number = (part, percentScale) => part.endsWith('%')
+        ? parseFloat(part) / 100 * percentScale
+        : parseFloat(part);
+      const alpha = parts[3] !== undefined ? number(parts[3], 1) : 1;
+
+      if (fn[1].startsWith('rgb')) {
+        const [r, g, b] = parts.slice(0, 3).map(p => Math.max(0, Math.min(255, number(p, 255))));
+        if ([r, g, b, alpha].some(isNaN)) return null;
+        return { r: Math.round(r), g: Math.round(g), b: Math.round(b), alpha };
+      }
+
+      if (fn[1] === 'oklch') {
+        // CSS Color 4: L is 0-1 (or %), chroma 100% = 0.4, hue in degrees
+        const L = Math.max(0, Math.min(1, number(parts[0], 1)));
+        const C = Math.max(0, number(parts[1], 0.4));
+        let h = parseFloat(parts[2]);
+        if (parts[2].endsWith('turn')) h *= 360;
+        else if (parts[2].endsWith('rad')) h = h * 180 / Math.PI;
+        if ([L, C, h, alpha].some(isNaN)) return null;
+        const hRad = h * Math.PI / 180;
+        return { ...oklabToRgb(L, C * Math.cos(hRad), C * Math.sin(hRad)), alpha };
+      }
+
+      let h = parseFloat(parts[0]);
+      if (parts[0].endsWith('turn')) h *= 360;
+      else if (parts[0].endsWith('rad')) h = h * 180 / Math.PI;
+      const s = Math.max(0, Math.min(1, parseFloat(parts[1]) / 100));
+      const l = Math.max(0, Math.min(1, parseFloat(parts[2]) / 100));
+      if ([h, s, l, alpha].some(isNaN)) return null;
+      return { ...hslToRgb(h, s, l), alpha };
+    }
+
+    // Named colors: let the canvas normalize them, using a sentinel to detect rejection
+    if (!/^[a-z]+$/.test(str) || typeof document === 'undefined') return null;
+    if (!colorParserContext) {
+      colorParserContext = document.createElement('canvas').getContext('2d');
+    }
+    if (!colorParserContext) return null;
+
+    colorParserContext.fillStyle = '#010203';
+    colorParserContext.fillStyle = str;
+    const normalized = colorParserContext.fillStyle;
+    if (normalized === '#010203') return null;
+
+    return parseCssColor(normalized);
+  }
+
   /**
    * Check if two colors are in similar hue range
    */
@@ -103,34 +209,262 @@
   }
 
   /**
-   * Calculate perceptual color distance
+   * Convert an sRGB channel (0-255) to linear light (0-1)
    */
-  function colorDistance(c1, c2) {
-    const rMean = (c1.r + c2.r) / 2;
-    const dr = c1.r - c2.r;
-    const dg = c1.g - c2.g;
-    const db = c1.b - c2.b;
+  function srgbToLinear(c) {
+    c = c / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
 
-    return Math.sqrt(
-      (2 + rMean / 256) * dr * dr +
-      4 * dg * dg +
-      (2 + (255 - rMean) / 256) * db * db
-    );
+  /**
+   * Convert a linear light channel (0-1) to sRGB (0-255, clamped)
+   */
+  function linearToSrgb(c) {
+    const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, v * 255));
+  }
+
+  /**
+   * Convert RGB to OKLab (Björn Ottosson's reference matrices)
+   */
+  function rgbToOklab(r, g, b) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return {
+      L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+  }
+
+  /**
+   * Convert OKLab back to RGB (channels clamped to 0-255)
+   */
+  function oklabToRgb(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return {
+      r: Math.round(linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s)),
+      g: Math.round(linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s)),
+      b: Math.round(linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s))
+    };
+  }
+
+  /**
+   * Convert RGB to OKLCH (lightness 0-1, chroma, hue in degrees)
+   */
+  function rgbToOklch(r, g, b) {
+    const lab = rgbToOklab(r, g, b);
+    const C = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+    let h = Math.atan2(lab.b, lab.a) * 180 / Math.PI;
+    if (h < 0) h += 360;
+    return { L: lab.L, C, h };
+  }
+
+  /**
+   * Check whether an OKLCH color fits inside the sRGB gamut
+   */
+  function isOklchInGamut(L, C, h) {
+    const hRad = h * Math.PI / 180;
+    const a = C * Math.cos(hRad);
+    const b = C * Math.sin(hRad);
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    const eps = 0.0001;
+
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ].every(v => v >= -eps && v <= 1 + eps);
+  }
+
+  /**
+   * Convert OKLCH to RGB, reducing chroma until the color fits sRGB
+   * Lightness and hue are kept exactly; plain clamping would shift the hue.
+   */
+  function oklchToRgb(L, C, h) {
+    let chroma = C;
+    if (!isOklchInGamut(L, chroma, h)) {
+      let low = 0;
+      let high = C;
+      for (let i = 0; i < 16; i++) {
+        const mid = (low + high) / 2;
+        if (isOklchInGamut(L, mid, h)) low = mid;
+        else high = mid;
+      }
+      chroma = low;
+    }
+
+    const hRad = h * Math.PI / 180;
+    return oklabToRgb(L, chroma * Math.cos(hRad), chroma * Math.sin(hRad));
+  }
+
+  /**
+   * Walk OKLCH lightness in one direction until a color reaches a contrast
+   * ratio against every given background (hue and chroma stay put)
+   * @param {number} direction - -1 to darken, 1 to lighten
+   * @param {Function} measure - (color, other) => contrast; defaults to WCAG
+   * @returns {Object} { r, g, b } - the best reached if the target is impossible
+   */
+  function findContrastingLightness(L, C, h, backgrounds, minContrast, direction, measure = getContrastRatio) {
+    const worstContrast = (rgb) => Math.min(...backgrounds.map(bg => measure(rgb, bg)));
+    let rgb = oklchToRgb(L, C, h);
+
+    for (let i = 0; i < 100 && worstContrast(rgb) < minContrast; i++) {
+      L = Math.max(0, Math.min(1, L + direction * 0.01));
+      rgb = oklchToRgb(L, C, h);
+      if (L === 0 || L === 1) break;
+    }
+
+    return rgb;
+  }
+
+  /**
+   * Find the lightness closest to L at which a fill both carries one of the
+   * labels and stands out from every page color (hue and chroma stay put)
+   * @param {Array} labels - [{ r, g, b }] label colors to try, e.g. white and black
+   * @param {Array} pages - [{ r, g, b }] backgrounds the fill sits on
+   * @param {Function} measure - (color, other) => contrast
+   * @returns {Object} { rgb, label, pass } - the closest miss when no lightness meets both
+   */
+  function findLabeledFillLightness(L, C, h, labels, labelMin, pages, pageMin, measure = getContrastRatio) {
+    let best = null;
+
+    labels.forEach(label => {
+      for (let step = 0; step <= 100; step++) {
+        const rgb = oklchToRgb(step / 100, C, h);
+        // Both targets as a fraction of what they need, so one number ranks misses
+        const worst = Math.min(
+          measure(label, rgb) / labelMin,
+          Math.min(...pages.map(page => measure(rgb, page))) / pageMin
+        );
+        const candidate = { rgb, label, pass: worst >= 1, worst, distance: Math.abs(step / 100 - L) };
+
+        if (!best ||
+            (candidate.pass && (!best.pass || candidate.distance < best.distance)) ||
+            (!candidate.pass && !best.pass && candidate.worst > best.worst)) {
+          best = candidate;
+        }
+      }
+    });
+
+    return { rgb: best.rgb, label: best.label, pass: best.pass };
+  }
+
+  /**
+   * Repair a color that misses a contrast target without changing its hue
+   * Lightness moves first, in whichever direction needs the smaller step;
+   * chroma is only given up when no lightness reaches the target.
+   * @param {Object} rgb - { r, g, b } candidate
+   * @param {Array} backgrounds - [{ r, g, b }] colors it must contrast with
+   * @param {Function} measure - (color, other) => contrast; defaults to WCAG
+   * @returns {Object} { hex, deltaL, deltaC, contrast, pass }
+   */
+  function repairContrast(rgb, backgrounds, minContrast, measure = getContrastRatio) {
+    const start = rgbToOklch(rgb.r, rgb.g, rgb.b);
+    const worstContrast = (c) => Math.min(...backgrounds.map(bg => measure(c, bg)));
+    let best = null;
+
+    for (const chromaScale of [1, 0.75, 0.5, 0.25, 0]) {
+      for (const direction of [-1, 1]) {
+        const repaired = findContrastingLightness(
+          start.L, start.C * chromaScale, start.h, backgrounds, minContrast, direction, measure
+        );
+        const lch = rgbToOklch(repaired.r, repaired.g, repaired.b);
+        const candidate = {
+          hex: rgbToHex(repaired.r, repaired.g, repaired.b),
+          deltaL: lch.L - start.L,
+          deltaC: lch.C - start.C,
+          contrast: worstContrast(repaired)
+        };
+        candidate.pass = candidate.contrast >= minContrast;
+
+        if (!best ||
+            (candidate.pass && !best.pass) ||
+            (candidate.pass && Math.abs(candidate.deltaL) < Math.abs(best.deltaL)) ||
+            (!candidate.pass && !best.pass && candidate.contrast > best.contrast)) {
+          best = candidate;
+        }
+      }
+      if (best.pass) break;
+    }
+
+    return best;
+  }
+
+  /**
+   * Pick white or black text for a fill
+   * White when it reaches body contrast, else black when that does, else the better one.
+   * @returns {string} '#ffffff' or '#000000'
+   */
+  function getOnColor(rgb, contrastPolicy = createContrastPolicy()) {
+    const withWhite = contrastPolicy.measure({ r: 255, g: 255, b: 255 }, rgb);
+    const withBlack = contrastPolicy.measure({ r: 0, g: 0, b: 0 }, rgb);
+    if (withWhite >= contrastPolicy.body) return '#ffffff';
+    if (withBlack >= contrastPolicy.body) return '#000000';
+    return withWhite > withBlack ? '#ffffff' : '#000000';
+  }
+
+  /**
+   * Convert CIELAB (D50, as used by swatch files) to sRGB 0-255
+   * Goes through XYZ with a Bradford D50 -> D65 adaptation.
+   */
+  function labToRgb(L, a, b) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = (t) => t > 6 / 29 ? t * t * t : 3 * (6 / 29) * (6 / 29) * (t - 4 / 29);
+
+    const x = 0.96422 * inverse(fx);
+    const y = inverse(fy);
+    const z = 0.82521 * inverse(fz);
+
+    return {
+      r: Math.round(linearToSrgb(3.1338561 * x - 1.6168667 * y - 0.4906146 * z)),
+      g: Math.round(linearToSrgb(-0.9787684 * x + 1.9161415 * y + 0.0334540 * z)),
+      b: Math.round(linearToSrgb(0.0719453 * x - 0.2289914 * y + 1.4052427 * z))
+    };
+  }
+
+  /**
+   * Calculate perceptual color distance (Euclidean distance in OKLab, scaled x100)
+   * A value around 2 is a just-noticeable difference.
+   */
+  function perceptualDistance(c1, c2) {
+    const lab1 = rgbToOklab(c1.r, c1.g, c1.b);
+    const lab2 = rgbToOklab(c2.r, c2.g, c2.b);
+    const dL = lab1.L - lab2.L;
+    const da = lab1.a - lab2.a;
+    const db = lab1.b - lab2.b;
+
+    return Math.sqrt(dL * dL + da * da + db * db) * 100;
   }
 
   /**
    * Filter palette for valid light mode background candidates
    * Requirements:
    * - High luminance (light color)
-   * - Must meet WCAG AA contrast with ALL text tokens (heading, text, mutedText)
+   * - Must meet the contrast policy with ALL text tokens (heading, text, mutedText)
    * @param {Array} palette - Analyzed palette with luminance/saturation
    * @param {Object} lightTokens - Generated light mode tokens to check contrast against
+   * @param {Object} contrastPolicy - From createContrastPolicy
    * @returns {Array} Valid light mode background candidates
    */
-  function filterLightBgCandidates(palette, lightTokens) {
+  function filterLightBgCandidates(palette, lightTokens, contrastPolicy = createContrastPolicy()) {
     const MIN_LUMINANCE = 0.65;
-    const MIN_CONTRAST = 4.5;
-    const MUTED_MIN_CONTRAST = 3.0; // mutedText can use lower threshold per WCAG
+    const MIN_CONTRAST = contrastPolicy.body;
+    const MUTED_MIN_CONTRAST = contrastPolicy.muted; // mutedText can use lower threshold
+    const measure = contrastPolicy.measure;
 
     // Get actual text colors from tokens
     const headingRgb = lightTokens?.heading ? hexToRgb(lightTokens.heading) : null;
@@ -148,13 +482,13 @@
       const bgRgb = { r: c.r, g: c.g, b: c.b };
 
       // Check ALL text tokens pass contrast on this bg
-      if (headingRgb && getContrastRatio(headingRgb, bgRgb) < MIN_CONTRAST) return false;
-      if (textRgb && getContrastRatio(textRgb, bgRgb) < MIN_CONTRAST) return false;
-      if (mutedRgb && getContrastRatio(mutedRgb, bgRgb) < MUTED_MIN_CONTRAST) return false;
+      if (headingRgb && measure(headingRgb, bgRgb) < MIN_CONTRAST) return false;
+      if (textRgb && measure(textRgb, bgRgb) < MIN_CONTRAST) return false;
+      if (mutedRgb && measure(mutedRgb, bgRgb) < MUTED_MIN_CONTRAST) return false;
 
       // If no tokens available, fall back to generic dark text check
       if (!headingRgb && !textRgb && !mutedRgb) {
-        const contrast = getContrastRatio(bgRgb, fallbackText);
+        const contrast = measure(fallbackText, bgRgb);
         return contrast >= MIN_CONTRAST;
       }
 
@@ -166,15 +500,17 @@
    * Filter palette for valid dark mode background candidates
    * Requirements:
    * - Low luminance (dark color)
-   * - Must meet WCAG AA contrast with ALL text tokens (heading, text, mutedText)
+   * - Must meet the contrast policy with ALL text tokens (heading, text, mutedText)
    * @param {Array} palette - Analyzed palette with luminance/saturation
    * @param {Object} darkTokens - Generated dark mode tokens to check contrast against
+   * @param {Object} contrastPolicy - From createContrastPolicy
    * @returns {Array} Valid dark mode background candidates
    */
-  function filterDarkBgCandidates(palette, darkTokens) {
+  function filterDarkBgCandidates(palette, darkTokens, contrastPolicy = createContrastPolicy()) {
     const MAX_LUMINANCE = 0.15;
-    const MIN_CONTRAST = 4.5;
-    const MUTED_MIN_CONTRAST = 3.0; // mutedText can use lower threshold per WCAG
+    const MIN_CONTRAST = contrastPolicy.body;
+    const MUTED_MIN_CONTRAST = contrastPolicy.muted; // mutedText can use lower threshold
+    const measure = contrastPolicy.measure;
 
     // Get actual text colors from tokens
     const headingRgb = darkTokens?.heading ? hexToRgb(darkTokens.heading) : null;
@@ -192,13 +528,13 @@
       const bgRgb = { r: c.r, g: c.g, b: c.b };
 
       // Check ALL text tokens pass contrast on this bg
-      if (headingRgb && getContrastRatio(headingRgb, bgRgb) < MIN_CONTRAST) return false;
-      if (textRgb && getContrastRatio(textRgb, bgRgb) < MIN_CONTRAST) return false;
-      if (mutedRgb && getContrastRatio(mutedRgb, bgRgb) < MUTED_MIN_CONTRAST) return false;
+      if (headingRgb && measure(headingRgb, bgRgb) < MIN_CONTRAST) return false;
+      if (textRgb && measure(textRgb, bgRgb) < MIN_CONTRAST) return false;
+      if (mutedRgb && measure(mutedRgb, bgRgb) < MUTED_MIN_CONTRAST) return false;
 
       // If no tokens available, fall back to generic light text check
       if (!headingRgb && !textRgb && !mutedRgb) {
-        const contrast = getContrastRatio(bgRgb, fallbackText);
+        const contrast = measure(fallbackText, bgRgb);
         return contrast >= MIN_CONTRAST;
       }
 
@@ -207,41 +543,400 @@
   }
 
   // ============================================
-  // MEDIAN CUT ALGORITHM
+  // CONTRAST MODELS
+  // ============================================
+
+  /**
+   * APCA lightness contrast (Lc) of text on a background, per APCA 0.0.98G
+   * Polarity matters: dark text on light is positive, light text on dark negative.
+   * @returns {number} Lc, roughly -108 to 106
+   */
+  function getApcaContrast(text, background) {
+    const toY = ({ r, g, b }) =>
+      0.2126729 * Math.pow(r / 255, 2.4) +
+      0.7151522 * Math.pow(g / 255, 2.4) +
+      0.0721750 * Math.pow(b / 255, 2.4);
+    // Soft clamp near black, where the display flare swamps real differences
+    const clampBlack = (y) => y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+
+    const textY = clampBlack(toY(text));
+    const bgY = clampBlack(toY(background));
+    if (Math.abs(bgY - textY) < 0.0005) return 0;
+
+    if (bgY > textY) {
+      const sapc = (Math.pow(bgY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+      return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+    }
+
+    const sapc = (Math.pow(bgY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+    return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+  }
+
+  // Conformance targets, weakest first
+  const CONTRAST_LEVELS = ['AA Large', 'AA', 'AAA'];
+
+  // Minimums per model and level. body/heading/muted are text (mutedComfort
+  // is what muted text aims for, mutedBand the range muted candidates come
+  // from); accent is how far a primary must stand off the surface, relaxed in
+  // the fallback cascade; nonText covers focus rings and other UI parts.
+  // APCA has no official levels, so its rows follow the Lc guidance for
+  // large text, body text and the preferred body level.
+  const CONTRAST_THRESHOLDS = {
+    wcag: {
+      'AA Large': {
+        body: 3.0, heading: 3.0, muted: 3.0, mutedComfort: 4.5,
+        mutedBand: { light: [3, 7], dark: [3, 10] },
+        nonText: 3.0, accent: 2.5, accentRelaxed: 2.0
+      },
+      'AA': {
+        body: 4.5, heading: 4.5, muted: 3.0, mutedComfort: 5.5,
+        mutedBand: { light: [4, 7], dark: [4, 10] },
+        nonText: 3.0, accent: 2.5, accentRelaxed: 2.0
+      },
+      'AAA': {
+        body: 7.0, heading: 7.0, muted: 4.5, mutedComfort: 7.0,
+        mutedBand: { light: [4.5, 10], dark: [4.5, 14] },
+        nonText: 3.0, accent: 2.5, accentRelaxed: 2.0
+      }
+    },
+    apca: {
+      'AA Large': {
+        body: 60, heading: 45, muted: 45, mutedComfort: 60,
+        mutedBand: { light: [45, 85], dark: [45, 100] },
+        nonText: 30, accent: 20, accentRelaxed: 15
+      },
+      'AA': {
+        body: 75, heading: 60, muted: 60, mutedComfort: 70,
+        mutedBand: { light: [55, 85], dark: [55, 100] },
+        nonText: 30, accent: 20, accentRelaxed: 15
+      },
+      'AAA': {
+        body: 90, heading: 75, muted: 75, mutedComfort: 85,
+        mutedBand: { light: [70, 100], dark: [70, 110] },
+        nonText: 45, accent: 20, accentRelaxed: 15
+      }
+    }
+  };
+
+  /**
+   * Bundle a contrast model and conformance level with their thresholds
+   * Everything that judges contrast takes one of these, so switching the
+   * model or level changes token selection and the report together.
+   * @param {string} model - 'wcag' (2.x ratio) or 'apca' (Lc)
+   * @param {string} level - One of CONTRAST_LEVELS
+   * @returns {Object} { model, level, measure(text, background), format(value), ...thresholds }
+   */
+  function createContrastPolicy(model = 'wcag', level = 'AA') {
+    const isApca = model === 'apca';
+    const thresholds = CONTRAST_THRESHOLDS[isApca ? 'apca' : 'wcag'];
+
+    return {
+      model: isApca ? 'apca' : 'wcag',
+      level: thresholds[level] ? level : 'AA',
+      ...(thresholds[level] || thresholds.AA),
+      measure: isApca
+        ? (text, background) => Math.abs(getApcaContrast(text, background))
+        : getContrastRatio,
+      format: isApca
+        ? (value) => `Lc ${value.toFixed(0)}`
+        : (value) => `${value.toFixed(2)}:1`
+    };
+  }
+
+  // ============================================
+  // COLOR VISION SIMULATION
+  // ============================================
+
+  // Machado et al. (2009) at full severity, applied to linear RGB.
+  // Achromatopsia collapses every channel to relative luminance.
+  const CVD_SIMULATIONS = {
+    protanopia: {
+      label: 'Protanopia',
+      matrix: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+      ]
+    },
+    deuteranopia: {
+      label: 'Deuteranopia',
+      matrix: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+      ]
+    },
+    tritanopia: {
+      label: 'Tritanopia',
+      matrix: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+      ]
+    },
+    achromatopsia: {
+      label: 'Achromatopsia',
+      matrix: [
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722],
+        [0.2126, 0.7152, 0.0722]
+      ]
+    }
+  };
+
+  // Token pairs that must stay apart: filled buttons against their
+  // surroundings and text. Status colors are left out - their hues are fixed
+  // bands that merge under most deficiencies, and they carry icons or labels
+  const CVD_PAIRS = [
+    ['primary', 'bg'],
+    ['primary', 'border'],
+    ['primary', 'text'],
+    ['primary', 'secondary']
+  ];
+
+  // OKLab distance (x100) below which two flat colors read as the same
+  const CVD_MIN_DISTANCE = 8;
+
+  /**
+   * Simulate how a color appears with a color vision deficiency
+   * @param {string} type - a CVD_SIMULATIONS key
+   * @returns {Object} { r, g, b } - the input unchanged for unknown types
+   */
+  function simulateCvd(rgb, type) {
+    const simulation = CVD_SIMULATIONS[type];
+    if (!simulation) return rgb;
+
+    const linear = [srgbToLinear(rgb.r), srgbToLinear(rgb.g), srgbToLinear(rgb.b)];
+    const [r, g, b] = simulation.matrix.map(row =>
+      Math.round(linearToSrgb(row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]))
+    );
+    return { r, g, b };
+  }
+
+  /**
+   * Simulate every color token of a mode, leaving non-color values alone
+   */
+  function simulateTokens(tokens, type) {
+    const simulated = {};
+    Object.entries(tokens).forEach(([key, value]) => {
+      const rgb = typeof value === 'string' ? hexToRgb(value) : null;
+      if (!rgb) {
+        simulated[key] = value;
+        return;
+      }
+      const { r, g, b } = simulateCvd(rgb, type);
+      simulated[key] = rgbToHex(r, g, b);
+    });
+    return simulated;
+  }
+
+  /**
+   * Find token pairs that are distinct normally but merge under a simulation
+   * @returns {Array} [{ pair: [a, b], types: [simulation keys] }]
+   */
+  function findCvdConflicts(tokens) {
+    return CVD_PAIRS
+      .filter(([a, b]) => tokens[a] && tokens[b])
+      .map(([a, b]) => {
+        const rgbA = hexToRgb(tokens[a]);
+        const rgbB = hexToRgb(tokens[b]);
+        if (perceptualDistance(rgbA, rgbB) < CVD_MIN_DISTANCE) return null;
+
+        const types = Object.keys(CVD_SIMULATIONS).filter(type =>
+          perceptualDistance(simulateCvd(rgbA, type), simulateCvd(rgbB, type)) < CVD_MIN_DISTANCE
+        );
+        return types.length > 0 ? { pair: [a, b], types } : null;
+      })
+      .filter(Boolean);
+  }
+
   // ============================================
+  // COLOR HISTOGRAM
+  // ============================================
+
+  // 5 bits per channel: 32768 cells, small enough to scan instantly
+  const HISTOGRAM_BITS = 5;
+  const HISTOGRAM_SHIFT = 8 - HISTOGRAM_BITS;
+  const HISTOGRAM_SIZE = 1 << (HISTOGRAM_BITS * 3);
 
   /**
-   * Extract pixels from canvas image data
+   * Build a quantized color histogram from canvas image data
+   * Besides the per-cell counts we keep per-cell channel sums, so every cell
+   * reports the true average of its pixels rather than the cell center.
    */
-  function extractPixels(imageData) {
-    const pixels = [];
+  function buildHistogram(imageData) {
+    const counts = new Uint32Array(HISTOGRAM_SIZE);
+    // Float64 sums: full-resolution images overflow 32-bit channel totals
+    const rSum = new Float64Array(HISTOGRAM_SIZE);
+    const gSum = new Float64Array(HISTOGRAM_SIZE);
+    const bSum = new Float64Array(HISTOGRAM_SIZE);
     const data = imageData.data;
+    let total = 0;
 
     for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) continue;
+
       const r = data[i];
       const g = data[i + 1];
       const b = data[i + 2];
-      const a = data[i + 3];
+      const index = ((r >> HISTOGRAM_SHIFT) << (HISTOGRAM_BITS * 2)) |
+                    ((g >> HISTOGRAM_SHIFT) << HISTOGRAM_BITS) |
+                    (b >> HISTOGRAM_SHIFT);
+
+      counts[index]++;
+      rSum[index] += r;
+      gSum[index] += g;
+      bSum[index] += b;
+      total++;
+    }
+
+    return { counts, rSum, gSum, bSum, total };
+  }
+
+  /**
+   * List the occupied histogram cells
+   * @returns {Array} Cells as { r, g, b, count } with the average color of their pixels
+   */
+  function getHistogramCells(histogram) {
+    const cells = [];
+    const { counts, rSum, gSum, bSum } = histogram;
+
+    for (let i = 0; i < HISTOGRAM_SIZE; i++) {
+      const count = counts[i];
+      if (count === 0) continue;
+
+      cells.push({
+        r: rSum[i] / count,
+        g: gSum[i] / count,
+        b: bSum[i] / count,
+        count
+      });
+    }
+
+    return cells;
+  }
+
+  /**
+   * Work out how much each image's pixels count when pooled
+   * Every image is first scaled to the pixel count of the largest one, so a small
+   * logo weighs as much as a large photo at equal weight.
+   * @param {Array} histograms - One histogram per image
+   * @param {Array} weights - Per-image weights (1 = normal)
+   * @returns {Array} Per-image multipliers for histogram counts
+   */
+  function getPoolScales(histograms, weights) {
+    const reference = Math.max(...histograms.map(h => h.total));
+
+    return histograms.map((h, i) => h.total > 0 ? weights[i] * reference / h.total : 0);
+  }
 
-      if (a < 128) continue;
+  /**
+   * Pool several image histograms into one weighted histogram
+   */
+  function poolHistograms(histograms, scales) {
+    const counts = new Float64Array(HISTOGRAM_SIZE);
+    const rSum = new Float64Array(HISTOGRAM_SIZE);
+    const gSum = new Float64Array(HISTOGRAM_SIZE);
+    const bSum = new Float64Array(HISTOGRAM_SIZE);
+    let total = 0;
+
+    histograms.forEach((h, i) => {
+      const scale = scales[i];
+      if (scale === 0) return;
+
+      for (let j = 0; j < HISTOGRAM_SIZE; j++) {
+        if (h.counts[j] === 0) continue;
+        counts[j] += h.counts[j] * scale;
+        rSum[j] += h.rSum[j] * scale;
+        gSum[j] += h.gSum[j] * scale;
+        bSum[j] += h.bSum[j] * scale;
+      }
+      total += h.total * scale;
+    });
+
+    return { counts, rSum, gSum, bSum, total };
+  }
+
+  /**
+   * Work out which images each palette color came from
+   * Every histogram cell votes for its nearest palette color (in OKLab) with its
+   * weighted count.
+   * @returns {Array} Per palette entry, [{ id, share }] largest share first
+   */
+  function attributeSources(palette, histograms, scales, imageIds) {
+    const paletteLab = palette.map(c => rgbToOklab(c.r, c.g, c.b));
+    const votes = palette.map(() => new Float64Array(imageIds.length));
+
+    histograms.forEach((h, i) => {
+      if (scales[i] === 0) return;
+
+      getHistogramCells(h).forEach(cell => {
+        const lab = rgbToOklab(cell.r, cell.g, cell.b);
+        let nearest = 0;
+        let nearestDist = Infinity;
+
+        paletteLab.forEach((p, k) => {
+          const dist = (lab.L - p.L) ** 2 + (lab.a - p.a) ** 2 + (lab.b - p.b) ** 2;
+          if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = k;
+          }
+        });
+
+        votes[nearest][i] += cell.count * scales[i];
+      });
+    });
+
+    return votes.map(v => {
+      const total = v.reduce((sum, n) => sum + n, 0);
+      if (total === 0) return [];
+
+      return imageIds
+        .map((id, i) => ({ id, share: v[i] / total }))
+        .filter(s => s.share >= 0.01)
+        .sort((a, b) => b.share - a.share);
+    });
+  }
 
-      pixels.push({ r, g, b });
+  /**
+   * Average the first cells of a list until `pixelCount` pixels are covered
+   * The last cell only contributes the pixels still needed.
+   */
+  function averageTopCells(cells, pixelCount) {
+    let remaining = pixelCount;
+    let r = 0, g = 0, b = 0, weight = 0;
+
+    for (let i = 0; i < cells.length && remaining > 0; i++) {
+      const take = Math.min(cells[i].count, remaining);
+      r += cells[i].r * take;
+      g += cells[i].g * take;
+      b += cells[i].b * take;
+      weight += take;
+      remaining -= take;
     }
 
-    return pixels;
+    return {
+      r: Math.round(r / weight),
+      g: Math.round(g / weight),
+      b: Math.round(b / weight)
+    };
   }
 
+  // ============================================
+  // MEDIAN CUT ALGORITHM
+  // ============================================
+
   /**
    * Find the color channel with the largest range
    */
-  function findLargestRange(pixels) {
+  function findLargestRange(cells) {
     const ranges = {
       r: { min: 255, max: 0 },
       g: { min: 255, max: 0 },
       b: { min: 255, max: 0 }
     };
 
-    pixels.forEach(p => {
+    cells.forEach(p => {
       ['r', 'g', 'b'].forEach(channel => {
         ranges[channel].min = Math.min(ranges[channel].min, p[channel]);
         ranges[channel].max = Math.max(ranges[channel].max, p[channel]);
@@ -263,67 +958,159 @@
   }
 
   /**
-   * Perform median cut color quantization
+   * Perform median cut color quantization over histogram cells
+   * Buckets are split at the population-weighted median, so a cell holding
+   * thousands of pixels counts as thousands of pixels.
    */
-  function medianCut(pixels, targetColors) {
-    if (pixels.length === 0) return [];
+  function medianCut(cells, targetColors) {
+    if (cells.length === 0) return [];
 
-    let buckets = [pixels];
+    const bucketPopulation = bucket => bucket.reduce((sum, c) => sum + c.count, 0);
+    let buckets = [{ cells, population: bucketPopulation(cells) }];
 
     while (buckets.length < targetColors) {
-      let maxBucketIndex = 0;
+      let maxBucketIndex = -1;
       let maxBucketSize = 0;
 
       buckets.forEach((bucket, index) => {
-        if (bucket.length > maxBucketSize) {
-          maxBucketSize = bucket.length;
+        if (bucket.cells.length > 1 && bucket.population > maxBucketSize) {
+          maxBucketSize = bucket.population;
           maxBucketIndex = index;
         }
       });
 
-      if (maxBucketSize <= 1) break;
+      if (maxBucketIndex === -1) break;
 
-      const bucket = buckets[maxBucketIndex];
+      const bucket = buckets[maxBucketIndex].cells;
       const channel = findLargestRange(bucket);
 
       bucket.sort((a, b) => a[channel] - b[channel]);
 
-      const median = Math.floor(bucket.length / 2);
+      // Weighted median, kept inside 1..length-1 so neither half is empty
+      const half = maxBucketSize / 2;
+      let median = 0;
+      let running = 0;
+      while (median < bucket.length - 1 && running + bucket[median].count <= half) {
+        running += bucket[median].count;
+        median++;
+      }
+      median = Math.max(1, median);
+
       const bucket1 = bucket.slice(0, median);
       const bucket2 = bucket.slice(median);
 
-      buckets.splice(maxBucketIndex, 1, bucket1, bucket2);
+      buckets.splice(maxBucketIndex, 1,
+        { cells: bucket1, population: bucketPopulation(bucket1) },
+        { cells: bucket2, population: bucketPopulation(bucket2) }
+      );
     }
 
-    const colors = buckets.map(bucket => {
-      if (bucket.length === 0) return null;
-
-      const sum = bucket.reduce((acc, p) => ({
-        r: acc.r + p.r,
-        g: acc.g + p.g,
-        b: acc.b + p.b
+    return buckets.map(bucket => {
+      const sum = bucket.cells.reduce((acc, c) => ({
+        r: acc.r + c.r * c.count,
+        g: acc.g + c.g * c.count,
+        b: acc.b + c.b * c.count
       }), { r: 0, g: 0, b: 0 });
 
       return {
-        r: Math.round(sum.r / bucket.length),
-        g: Math.round(sum.g / bucket.length),
-        b: Math.round(sum.b / bucket.length),
-        population: bucket.length
+        r: Math.round(sum.r / bucket.population),
+        g: Math.round(sum.g / bucket.population),
+        b: Math.round(sum.b / bucket.population),
+        population: bucket.population
       };
-    }).filter(c => c !== null);
+    });
+  }
 
-    return colors;
+  // ============================================
+  // K-MEANS (OKLAB) ALGORITHM
+  // ============================================
+
+  /**
+   * Perform k-means color quantization in OKLab space over histogram cells
+   * Seeded from the median cut result so runs are deterministic and converge quickly.
+   * Clustering in a perceptual space keeps distinct blues/purples apart and stops
+   * greens from being over-split the way raw sRGB channel splits do.
+   */
+  function kMeansOklab(cells, targetColors, iterations = 8) {
+    if (cells.length === 0) return [];
+
+    const seeds = medianCut(cells.slice(), targetColors);
+    if (seeds.length === 0) return [];
+
+    // Convert every cell once; the loop below only works on these arrays
+    const count = cells.length;
+    const labL = new Float32Array(count);
+    const labA = new Float32Array(count);
+    const labB = new Float32Array(count);
+    const weights = new Float64Array(count);
+
+    cells.forEach((c, i) => {
+      const lab = rgbToOklab(c.r, c.g, c.b);
+      labL[i] = lab.L;
+      labA[i] = lab.a;
+      labB[i] = lab.b;
+      weights[i] = c.count;
+    });
+
+    let centroids = seeds.map(c => rgbToOklab(c.r, c.g, c.b));
+    const assignments = new Uint16Array(count);
+
+    for (let iter = 0; iter < iterations; iter++) {
+      let changed = 0;
+
+      for (let i = 0; i < count; i++) {
+        let best = 0;
+        let bestDist = Infinity;
+
+        for (let k = 0; k < centroids.length; k++) {
+          const dL = labL[i] - centroids[k].L;
+          const da = labA[i] - centroids[k].a;
+          const db = labB[i] - centroids[k].b;
+          const dist = dL * dL + da * da + db * db;
+          if (dist < bestDist) {
+            bestDist = dist;
+            best = k;
+          }
+        }
+
+        if (iter === 0 || assignments[i] !== best) changed++;
+        assignments[i] = best;
+      }
+
+      const sums = centroids.map(() => ({ L: 0, a: 0, b: 0, n: 0 }));
+      for (let i = 0; i < count; i++) {
+        const sum = sums[assignments[i]];
+        sum.L += labL[i] * weights[i];
+        sum.a += labA[i] * weights[i];
+        sum.b += labB[i] * weights[i];
+        sum.n += weights[i];
+      }
+
+      // Empty clusters keep their previous centroid
+      centroids = centroids.map((c, k) => sums[k].n > 0
+        ? { L: sums[k].L / sums[k].n, a: sums[k].a / sums[k].n, b: sums[k].b / sums[k].n, n: sums[k].n }
+        : { ...c, n: 0 });
+
+      if (iter > 0 && changed === 0) break;
+    }
+
+    return centroids
+      .filter(c => c.n > 0)
+      .map(c => ({
+        ...oklabToRgb(c.L, c.a, c.b),
+        population: c.n
+      }));
   }
 
   /**
    * Remove near-duplicate colors from palette
    */
-  function removeDuplicates(colors, threshold = 25) {
+  function removeDuplicates(colors, threshold = 3) {
     const filtered = [];
 
     colors.forEach(color => {
       const isDuplicate = filtered.some(existing =>
-        colorDistance(color, existing) < threshold
+        perceptualDistance(color, existing) < threshold
       );
 
       if (!isDuplicate) {
@@ -333,7 +1120,7 @@
         let closestIndex = 0;
 
         filtered.forEach((existing, index) => {
-          const dist = colorDistance(color, existing);
+          const dist = perceptualDistance(color, existing);
           if (dist < minDist) {
             minDist = dist;
             closestIndex = index;
@@ -357,49 +1144,61 @@
     return filtered;
   }
 
+  // Pixel counts below were tuned on 200×200 thumbnails; kept as shares of
+  // all pixels they mean the same at any resolution
+  const TUNED_PIXEL_COUNT = 200 * 200;
+  const VIBRANT_MIN_SHARE = 5 / TUNED_PIXEL_COUNT;  // Smallest hue bucket that yields a vibrant color
+  const BRAND_TOP_SHARE = 3 / TUNED_PIXEL_COUNT;    // Most saturated pixels averaged per brand hue range
+
+  /**
+   * Total pixel count behind a set of histogram cells
+   */
+  function getCellsTotal(cells) {
+    return cells.reduce((sum, c) => sum + c.count, 0);
+  }
+
   /**
    * Extract vibrant colors that may have been averaged away
    */
-  function extractVibrantColors(pixels, existingPalette) {
+  function extractVibrantColors(cells, existingPalette) {
+    const minPopulation = Math.max(1, getCellsTotal(cells) * VIBRANT_MIN_SHARE);
+
     // Increased from 12 to 18 buckets (20° each) for finer hue distinction
-    const hueBuckets = Array.from({ length: 18 }, () => []);
+    const hueBuckets = Array.from({ length: 18 }, () => ({ cells: [], population: 0 }));
 
-    pixels.forEach(p => {
-      const sat = getSaturation(p.r, p.g, p.b);
+    cells.forEach(c => {
+      const sat = getSaturation(c.r, c.g, c.b);
       // Lowered from 0.3 to 0.25 to include more vibrant colors
       if (sat < 0.25) return;
 
-      const hsl = rgbToHsl(p.r, p.g, p.b);
+      const hsl = rgbToHsl(c.r, c.g, c.b);
       // Widened to 0.10-0.90 to capture bright oranges and vivid colors
       if (hsl.l < 0.10 || hsl.l > 0.90) return;
 
-      const bucketIndex = Math.floor(hsl.h / 20) % 18;
-      hueBuckets[bucketIndex].push({ ...p, hsl, sat });
+      const bucket = hueBuckets[Math.floor(hsl.h / 20) % 18];
+      bucket.cells.push({ ...c, sat });
+      bucket.population += c.count;
     });
 
     const vibrantColors = [];
 
     hueBuckets.forEach(bucket => {
-      // Lowered from 10 to 5 to catch small accent colors (buttons, icons)
-      if (bucket.length < 5) return;
+      // Lowered from 10 to 5 (thumbnail) pixels to catch small accent colors (buttons, icons)
+      if (bucket.population < minPopulation) return;
 
-      bucket.sort((a, b) => b.sat - a.sat);
+      bucket.cells.sort((a, b) => b.sat - a.sat);
 
-      const topCount = Math.max(5, Math.floor(bucket.length * 0.05));
-      const topPixels = bucket.slice(0, topCount);
+      const topCount = Math.max(minPopulation, bucket.population * 0.05);
 
       const avg = {
-        r: Math.round(topPixels.reduce((s, p) => s + p.r, 0) / topPixels.length),
-        g: Math.round(topPixels.reduce((s, p) => s + p.g, 0) / topPixels.length),
-        b: Math.round(topPixels.reduce((s, p) => s + p.b, 0) / topPixels.length),
-        population: bucket.length,
+        ...averageTopCells(bucket.cells, topCount),
+        population: bucket.population,
         isVibrant: true
       };
 
       const isDuplicate = existingPalette.some(existing => {
-        const dist = colorDistance(avg, existing);
-        // Reduced from 40 to 35 to preserve more distinct vibrant colors
-        if (dist < 35) return true;
+        const dist = perceptualDistance(avg, existing);
+        if (dist < 4.5) return true;
 
         const existingHsl = rgbToHsl(existing.r, existing.g, existing.b);
         const avgHsl = rgbToHsl(avg.r, avg.g, avg.b);
@@ -425,57 +1224,56 @@
    * Extract brand/accent colors - highly saturated colors regardless of population
    * These are likely intentional design choices (buttons, icons, accents)
    */
-  function extractBrandColors(pixels, existingPalette) {
-    // Group pixels by major hue ranges (6 ranges: red, orange, yellow, green, blue, purple)
+  function extractBrandColors(cells, existingPalette) {
+    const topCount = Math.max(1, getCellsTotal(cells) * BRAND_TOP_SHARE);
+    // Group cells by major hue ranges (6 ranges: red, orange, yellow, green, blue, purple)
     const hueRanges = [
-      { name: 'red', min: 0, max: 30, pixels: [] },
-      { name: 'orange', min: 30, max: 60, pixels: [] },
-      { name: 'yellow', min: 60, max: 90, pixels: [] },
-      { name: 'green', min: 90, max: 180, pixels: [] },
-      { name: 'blue', min: 180, max: 270, pixels: [] },
-      { name: 'purple', min: 270, max: 330, pixels: [] },
-      { name: 'red2', min: 330, max: 360, pixels: [] }
+      { name: 'red', min: 0, max: 30, cells: [], population: 0 },
+      { name: 'orange', min: 30, max: 60, cells: [], population: 0 },
+      { name: 'yellow', min: 60, max: 90, cells: [], population: 0 },
+      { name: 'green', min: 90, max: 180, cells: [], population: 0 },
+      { name: 'blue', min: 180, max: 270, cells: [], population: 0 },
+      { name: 'purple', min: 270, max: 330, cells: [], population: 0 },
+      { name: 'red2', min: 330, max: 360, cells: [], population: 0 }
     ];
 
-    // Find the most saturated pixel in each hue range
-    pixels.forEach(p => {
-      const sat = getSaturation(p.r, p.g, p.b);
+    // Find the most saturated cells in each hue range
+    cells.forEach(c => {
+      const sat = getSaturation(c.r, c.g, c.b);
       // Lowered from 0.6 to 0.45 to catch more real-world vibrant colors
       if (sat < 0.45) return;
 
-      const hsl = rgbToHsl(p.r, p.g, p.b);
+      const hsl = rgbToHsl(c.r, c.g, c.b);
       // Widened from 0.15-0.85 to 0.12-0.88 to include bright oranges/yellows
       if (hsl.l < 0.12 || hsl.l > 0.88) return;
 
       const range = hueRanges.find(r => hsl.h >= r.min && hsl.h < r.max);
       if (range) {
-        range.pixels.push({ ...p, hsl, sat });
+        range.cells.push({ ...c, sat });
+        range.population += c.count;
       }
     });
 
     const brandColors = [];
 
     hueRanges.forEach(range => {
-      if (range.pixels.length === 0) return;
+      if (range.cells.length === 0) return;
 
       // Sort by saturation (highest first)
-      range.pixels.sort((a, b) => b.sat - a.sat);
+      range.cells.sort((a, b) => b.sat - a.sat);
 
-      // Take the top 3 most saturated pixels and average them
-      const topPixels = range.pixels.slice(0, 3);
+      // Average the most saturated pixels (3 on a thumbnail)
       const avg = {
-        r: Math.round(topPixels.reduce((s, p) => s + p.r, 0) / topPixels.length),
-        g: Math.round(topPixels.reduce((s, p) => s + p.g, 0) / topPixels.length),
-        b: Math.round(topPixels.reduce((s, p) => s + p.b, 0) / topPixels.length),
-        population: range.pixels.length,
+        ...averageTopCells(range.cells, topCount),
+        population: range.population,
         isBrandColor: true,
         isVibrant: true
       };
 
       // Check if this brand color is truly different from existing palette
       const isDuplicate = existingPalette.some(existing => {
-        const dist = colorDistance(avg, existing);
-        if (dist < 30) return true;
+        const dist = perceptualDistance(avg, existing);
+        if (dist < 4) return true;
 
         // Also check if existing color has similar hue but higher saturation
         const existingHsl = rgbToHsl(existing.r, existing.g, existing.b);
@@ -495,6 +1293,20 @@
     return brandColors;
   }
 
+  /**
+   * Flag a color the way the vibrant and brand passes would
+   * Used for colors that did not come out of extraction (declared, typed or edited)
+   * so they compete for primary on equal terms.
+   */
+  function getColorFlags(r, g, b) {
+    const sat = getSaturation(r, g, b);
+    const hsl = rgbToHsl(r, g, b);
+    const isBrandColor = sat > 0.40 && hsl.l >= 0.12 && hsl.l <= 0.88;
+    const isVibrant = isBrandColor || (sat > 0.35 && hsl.l >= 0.10 && hsl.l <= 0.90);
+
+    return { isVibrant, isBrandColor };
+  }
+
   /**
    * Find a more vibrant version of a color from the palette
    */
@@ -519,54 +1331,792 @@
   }
 
   // ============================================
-  // TOKEN MAPPING
+  // TONAL SCALES
   // ============================================
 
+  const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+  const SCALE_LIGHTEST = 0.97;  // OKLCH L of step 50
+  const SCALE_DARKEST = 0.23;   // OKLCH L of step 950
+  const NEUTRAL_MAX_CHROMA = 0.03;
+
   /**
-   * Generate design tokens from palette
+   * Build a ramp at one hue with evenly spaced OKLCH lightness
+   * Chroma eases off toward both ends so tints and shades stay usable,
+   * and each step is then fitted to sRGB without moving its hue.
+   * @param {number} chroma - Peak OKLCH chroma
+   * @param {number} hue - OKLCH hue in degrees
+   * @returns {Array} [{ step, hex, contrastWhite, contrastBlack }]
    */
-  function generateTokens(palette, lockedPrimary = null, lockedLightBg = null, lockedDarkBg = null) {
-    const warnings = [];
+  function generateTonalScale(chroma, hue) {
+    const white = { r: 255, g: 255, b: 255 };
+    const black = { r: 0, g: 0, b: 0 };
 
-    const analyzed = palette.map(c => ({
-      ...c,
-      hex: rgbToHex(c.r, c.g, c.b),
-      luminance: getLuminance(c.r, c.g, c.b),
-      saturation: getSaturation(c.r, c.g, c.b)
-    }));
+    return SCALE_STEPS.map((step, i) => {
+      const L = SCALE_LIGHTEST - (SCALE_LIGHTEST - SCALE_DARKEST) * i / (SCALE_STEPS.length - 1);
+      const taper = 1 - Math.pow(Math.abs(L - 0.6) / 0.4, 2) * 0.6;
+      const rgb = oklchToRgb(L, chroma * taper, hue);
 
-    const findBest = (filter, sortKey = 'population') => {
-      const matches = analyzed.filter(filter);
-      if (matches.length === 0) return null;
-      return matches.sort((a, b) => b[sortKey] - a[sortKey])[0];
-    };
+      return {
+        step,
+        hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+        contrastWhite: getContrastRatio(rgb, white),
+        contrastBlack: getContrastRatio(rgb, black)
+      };
+    });
+  }
 
-    // Always use fallback colors when no palette color matches
-    const useColor = (color, fallbackHex) => {
-      if (color) return color.hex;
-      return fallbackHex;
-    };
+  /**
+   * Pick the hue and chroma for the neutral ramp
+   * Averages the palette's low-chroma colors by population; when they are
+   * missing or cancel out, the primary hue is used at a barely visible tint.
+   * @returns {Object} { chroma, hue }
+   */
+  function getNeutralSeed(palette, primaryHex) {
+    let x = 0, y = 0, weight = 0;
+
+    palette.forEach(c => {
+      const lch = rgbToOklch(c.r, c.g, c.b);
+      if (lch.C >= 0.06 || lch.L < 0.1 || lch.L > 0.98) return;
+      const w = c.population || 1;
+      x += Math.cos(lch.h * Math.PI / 180) * lch.C * w;
+      y += Math.sin(lch.h * Math.PI / 180) * lch.C * w;
+      weight += w;
+    });
 
-    // Ensure contrast helper - validates and guarantees contrast for text tokens
-    const ensureContrast = (candidateHex, backgroundRgb, minContrast, fallbackLight, fallbackDark) => {
-      if (candidateHex) {
-        const candidateRgb = hexToRgb(candidateHex);
-        if (getContrastRatio(candidateRgb, backgroundRgb) >= minContrast) {
-          return candidateHex;
-        }
-      }
-      // Candidate failed or missing - try both fallbacks and pick the one that passes
-      const lightRgb = hexToRgb(fallbackLight);
-      const darkRgb = hexToRgb(fallbackDark);
-      const lightContrast = getContrastRatio(lightRgb, backgroundRgb);
-      const darkContrast = getContrastRatio(darkRgb, backgroundRgb);
+    // Averaging as vectors lets warm and cool grays cancel out toward gray
+    const chroma = weight > 0 ? Math.sqrt(x * x + y * y) / weight : 0;
+    if (chroma > 0.002) {
+      let hue = Math.atan2(y, x) * 180 / Math.PI;
+      if (hue < 0) hue += 360;
+      return { chroma: Math.min(NEUTRAL_MAX_CHROMA, chroma), hue };
+    }
 
-      if (lightContrast >= minContrast) return fallbackLight;
-      if (darkContrast >= minContrast) return fallbackDark;
+    const primary = hexToRgb(primaryHex || '#0071e3');
+    return { chroma: 0.008, hue: rgbToOklch(primary.r, primary.g, primary.b).h };
+  }
 
-      // Neither passes - use whichever is better
-      return lightContrast > darkContrast ? fallbackLight : fallbackDark;
-    };
+  /**
+   * Primary and neutral ramps for a palette
+   * The primary ramp follows the light mode primary's hue and chroma.
+   */
+  function generateTonalScales(palette, primaryHex) {
+    const primary = hexToRgb(primaryHex);
+    const primaryLch = rgbToOklch(primary.r, primary.g, primary.b);
+    const neutral = getNeutralSeed(palette, primaryHex);
+
+    return {
+      primary: generateTonalScale(primaryLch.C, primaryLch.h),
+      neutral: generateTonalScale(neutral.chroma, neutral.hue)
+    };
+  }
+
+  // ============================================
+  // STATUS TOKENS
+  // ============================================
+
+  // OKLCH hue bands that keep each status recognizable
+  const STATUS_HUES = {
+    success: { center: 148, min: 135, max: 160 },
+    warning: { center: 70, min: 60, max: 85 },
+    danger: { center: 27, min: 20, max: 35 },
+    info: { center: 240, min: 225, max: 255 }
+  };
+  const STATUS_DEFAULT_CHROMA = 0.15;
+
+  /**
+   * Signed shortest distance between two hues in degrees
+   */
+  function hueDelta(from, to) {
+    return ((to - from + 540) % 360) - 180;
+  }
+
+  /**
+   * Generate success / warning / danger / info with on-colors and subtle backgrounds
+   * Each status keeps its hue band but borrows the palette's accent chroma,
+   * and takes the hue of a palette color already inside the band. The solid
+   * color is walked in lightness until it reads as body text on bg, surface
+   * and its own subtle background.
+   * @param {Array} palette - Palette entries
+   * @param {Object} tokens - Mode tokens with bg, surface and primary set
+   * @param {string} mode - 'light' | 'dark'
+   * @param {Object} contrastPolicy - From createContrastPolicy
+   * @returns {Object} { success, onSuccess, successSubtle, ... }
+   */
+  function generateStatusTokens(palette, tokens, mode, contrastPolicy = createContrastPolicy()) {
+    const primaryRgb = hexToRgb(tokens.primary);
+    const primaryLch = rgbToOklch(primaryRgb.r, primaryRgb.g, primaryRgb.b);
+    const backgrounds = [hexToRgb(tokens.bg), hexToRgb(tokens.surface)];
+    const isLight = mode === 'light';
+
+    const accents = palette
+      .map(c => ({ ...rgbToOklch(c.r, c.g, c.b), population: c.population }))
+      .filter(lch => lch.C >= 0.08);
+
+    // Halfway between a standard status chroma and the palette's own
+    const paletteChroma = accents.length > 0
+      ? accents.reduce((sum, lch) => sum + lch.C, 0) / accents.length
+      : primaryLch.C;
+    const chroma = Math.max(0.08, Math.min(0.2, (STATUS_DEFAULT_CHROMA + paletteChroma) / 2));
+
+    // Start near the primary's lightness so statuses sit at the same visual weight
+    const startL = isLight
+      ? Math.max(0.45, Math.min(0.65, primaryLch.L))
+      : Math.max(0.7, Math.min(0.85, primaryLch.L));
+
+    const statusTokens = {};
+
+    Object.entries(STATUS_HUES).forEach(([status, band]) => {
+      const inBand = accents
+        .filter(lch => lch.h >= band.min && lch.h <= band.max)
+        .sort((a, b) => b.population - a.population)[0];
+
+      // A palette color in the band sets the hue; otherwise lean a little toward primary
+      const hue = inBand
+        ? inBand.h
+        : Math.max(band.min, Math.min(band.max, band.center + hueDelta(band.center, primaryLch.h) * 0.1));
+
+      const subtle = isLight
+        ? oklchToRgb(0.96, Math.min(chroma, 0.03), hue)
+        : oklchToRgb(0.27, Math.min(chroma, 0.05), hue);
+
+      const solid = findContrastingLightness(
+        startL, chroma, hue, [...backgrounds, subtle],
+        contrastPolicy.body, isLight ? -1 : 1, contrastPolicy.measure
+      );
+
+      const subtleKey = status + 'Subtle';
+      const onKey = 'on' + status.charAt(0).toUpperCase() + status.slice(1);
+
+      statusTokens[status] = rgbToHex(solid.r, solid.g, solid.b);
+      statusTokens[onKey] = getOnColor(solid, contrastPolicy);
+      statusTokens[subtleKey] = rgbToHex(subtle.r, subtle.g, subtle.b);
+    });
+
+    return statusTokens;
+  }
+
+  // ============================================
+  // INTERACTION STATES
+  // ============================================
+
+  const STATE_HOVER_SHIFT = 0.06;   // OKLCH L per step away from the mode's bg
+  const STATE_MIN_SEPARATION = 0.03; // OKLCH L between hover and active
+
+  /**
+   * OKLCH lightness between two colors
+   * @returns {number} Absolute difference in L (0-1)
+   */
+  function getLightnessGap(a, b) {
+    return Math.abs(rgbToOklch(a.r, a.g, a.b).L - rgbToOklch(b.r, b.g, b.b).L);
+  }
+
+  /**
+   * Derive hover, active, focus and disabled tokens from primary and surface
+   * Light mode presses get darker and dark mode presses get lighter, so
+   * states always move away from the page, by a shorter step where a full
+   * one would make the onPrimary label unreadable. When that leaves active
+   * on top of hover, active steps the other way instead. The focus ring keeps the primary
+   * hue but is walked in lightness until it reaches non-text contrast
+   * (3:1 under WCAG 2.2) on bg and surface.
+   * @param {Object} tokens - Mode tokens with bg, surface, text and primary set
+   * @param {string} mode - 'light' | 'dark'
+   * @param {Object} contrastPolicy - From createContrastPolicy
+   * @returns {Object} { primaryHover, primaryActive, focusRing, disabledBg, disabledText }
+   */
+  function generateInteractionTokens(tokens, mode, contrastPolicy = createContrastPolicy()) {
+    const direction = mode === 'light' ? -1 : 1;
+    const primaryRgb = hexToRgb(tokens.primary);
+    const primary = rgbToOklch(primaryRgb.r, primaryRgb.g, primaryRgb.b);
+    const surfaceRgb = hexToRgb(tokens.surface);
+    const surface = rgbToOklch(surfaceRgb.r, surfaceRgb.g, surfaceRgb.b);
+    const toHex = (rgb) => rgbToHex(rgb.r, rgb.g, rgb.b);
+
+    const clampL = (L) => Math.max(0.04, Math.min(0.96, L));
+    const onPrimaryRgb = hexToRgb(tokens.onPrimary);
+    const keepsLabel = (rgb) => contrastPolicy.measure(onPrimaryRgb, rgb) >= contrastPolicy.body;
+
+    // Shorten the step if it would wash out a readable label
+    const shiftPrimary = (shift, towards = direction) => {
+      const at = (amount) => oklchToRgb(clampL(primary.L + amount), primary.C, primary.h);
+      const full = at(towards * shift);
+      if (keepsLabel(full) || !keepsLabel(primaryRgb)) return full;
+
+      let low = 0;
+      let high = shift;
+      for (let i = 0; i < 12; i++) {
+        const mid = (low + high) / 2;
+        if (keepsLabel(at(towards * mid))) low = mid;
+        else high = mid;
+      }
+      return at(towards * low);
+    };
+
+    const hover = shiftPrimary(STATE_HOVER_SHIFT);
+    let active = shiftPrimary(STATE_HOVER_SHIFT * 2);
+    // A label that caps both steps leaves no room between them; pressing
+    // toward the page instead moves away from the label, so it stays readable
+    if (getLightnessGap(hover, active) < STATE_MIN_SEPARATION) {
+      active = shiftPrimary(STATE_HOVER_SHIFT, -direction);
+    }
+
+    const focusRing = findContrastingLightness(
+      primary.L, primary.C, primary.h,
+      [hexToRgb(tokens.bg), surfaceRgb],
+      contrastPolicy.nonText,
+      direction,
+      contrastPolicy.measure
+    );
+
+    // Disabled controls sit just off the surface and fade their label toward it
+    const disabledBg = oklchToRgb(clampL(surface.L + direction * 0.08), Math.min(surface.C, 0.02), surface.h);
+    const disabled = rgbToOklch(disabledBg.r, disabledBg.g, disabledBg.b);
+    const disabledText = findContrastingLightness(
+      disabled.L, disabled.C, disabled.h, [disabledBg], contrastPolicy.nonText, direction, contrastPolicy.measure
+    );
+
+    return {
+      primaryHover: toHex(hover),
+      primaryActive: toHex(active),
+      focusRing: toHex(focusRing),
+      disabledBg: toHex(disabledBg),
+      disabledText: toHex(disabledText)
+    };
+  }
+
+  // ============================================
+  // SURFACE ELEVATION (dark mode)
+  // ============================================
+
+  const ELEVATION_STEPS = [0, 0.03, 0.06, 0.09];  // OKLCH L above surface per level
+  const ELEVATION_TINT = 0.006;                    // OKLab chroma toward primary per level
+  const ELEVATION_BORDER_SHIFT = 0.06;             // OKLCH L from a level to its border
+  const ELEVATION_MIN_DISTANCE = 1.5;              // OKLab ΔE (×100) below which two levels look the same
+
+  /**
+   * Build dark-mode elevation surfaces for cards, menus, dialogs and
+   * popovers. The scale starts at surface and each level lightens it a
+   * step further, leaning a little more toward the primary hue the way
+   * raised surfaces catch more of the brand light. Text, heading and
+   * muted text that would lose contrast on a level are raised on their own
+   * hue; only locked or unrepairable text holds a level back, and levels
+   * that end up too close to tell apart are reported.
+   * @param {Object} tokens - Dark tokens with bg, surface, text, heading, mutedText and primary set
+   * @param {Object} contrastPolicy - From createContrastPolicy
+   * @param {Object} locks - Locked dark tokens, left as they are
+   * @returns {Object} { elevations: { surface1, border1, … }, text: { token: { before, repaired } }, indistinct: [[a, b]] }
+   */
+  function generateElevationTokens(tokens, contrastPolicy = createContrastPolicy(), locks = {}) {
+    const measure = contrastPolicy.measure;
+    const baseRgb = hexToRgb(tokens.surface);
+    const base = rgbToOklab(baseRgb.r, baseRgb.g, baseRgb.b);
+    const primaryRgb = hexToRgb(tokens.primary);
+    const primary = rgbToOklch(primaryRgb.r, primaryRgb.g, primaryRgb.b);
+    const hue = primary.h * Math.PI / 180;
+    const tint = Math.min(primary.C, 0.1) / 0.1 * ELEVATION_TINT;
+    const toHex = (rgb) => rgbToHex(rgb.r, rgb.g, rgb.b);
+    const at = (L, level) => oklabToRgb(
+      L,
+      base.a + Math.cos(hue) * tint * level,
+      base.b + Math.sin(hue) * tint * level
+    );
+
+    const targets = ELEVATION_STEPS.map(step => Math.min(0.96, base.L + step));
+    const surfaces = targets.map((L, index) => at(L, index + 1));
+
+    // Raise text on its own hue rather than giving up the levels
+    const text = {};
+    const textChecks = [['text', 'body'], ['heading', 'heading'], ['mutedText', 'muted']]
+      .filter(([token]) => tokens[token])
+      .map(([token, kind]) => {
+        let fg = hexToRgb(tokens[token]);
+        const min = contrastPolicy[kind];
+        const backgrounds = [hexToRgb(tokens.bg), baseRgb, ...surfaces];
+        const before = Math.min(...backgrounds.map(bg => measure(fg, bg)));
+        if (before < min && !locks[token]) {
+          const repaired = repairContrast(fg, backgrounds, min, measure);
+          if (repaired.contrast > before) {
+            text[token] = { before, repaired };
+            fg = hexToRgb(repaired.hex);
+          }
+        }
+        return [fg, min];
+      });
+    const keepsText = (rgb) => textChecks.every(([fg, min]) => measure(fg, rgb) >= min);
+
+    // Text that could not be raised holds the levels back instead
+    let previousL = base.L;
+    let previousSurface = baseRgb;
+    const elevations = {};
+    targets.forEach((target, index) => {
+      const level = index + 1;
+      let L = target;
+      let surface = surfaces[index];
+      if (!keepsText(surface)) {
+        let low = previousL;
+        let high = L;
+        for (let i = 0; i < 12; i++) {
+          const mid = (low + high) / 2;
+          if (keepsText(at(mid, level))) low = mid;
+          else high = mid;
+        }
+        L = low;
+        // The extra tint alone can cost contrast; stay on the level below
+        surface = keepsText(at(L, level)) ? at(L, level) : previousSurface;
+      }
+      previousL = L;
+      previousSurface = surface;
+
+      elevations['surface' + level] = toHex(surface);
+      elevations['border' + level] = toHex(at(Math.min(0.96, L + ELEVATION_BORDER_SHIFT), level));
+    });
+
+    const indistinct = [];
+    for (let level = 2; level <= ELEVATION_STEPS.length; level++) {
+      const lower = hexToRgb(elevations['surface' + (level - 1)]);
+      const upper = hexToRgb(elevations['surface' + level]);
+      if (perceptualDistance(lower, upper) < ELEVATION_MIN_DISTANCE) {
+        indistinct.push(['surface' + (level - 1), 'surface' + level]);
+      }
+    }
+
+    return { elevations, text, indistinct };
+  }
+
+  // ============================================
+  // DERIVED THEMES
+  // ============================================
+
+  // OKLCH lightness span each mode's tokens live in; derivation flips one onto the other
+  const MODE_LIGHTNESS = { light: [0.15, 1], dark: [0.12, 1] };
+  // Primary is not flipped, only kept on the side of mid-gray that reads on the mode's bg
+  const DERIVED_PRIMARY_LIGHTNESS = { light: [0.35, 0.6], dark: [0.6, 0.8] };
+  const DERIVED_TINT = 0.012;           // OKLCH chroma of the dominant hue in derived neutrals
+  const DOMINANT_HUE_MIN_CHROMA = 0.03; // Grays have no hue worth keeping
+  // Surface and border keep their distance from bg; this is the side they sit on
+  const DERIVED_LAYER_DIRECTION = {
+    light: { surface: 1, border: -1 },
+    dark: { surface: 1, border: 1 }
+  };
+
+  /**
+   * Population- and chroma-weighted mean hue of the palette, averaged on
+   * the color wheel so 350° and 10° meet at 0° rather than 180°
+   * @returns {number|null} Hue in degrees, or null for an all-gray palette
+   */
+  function getDominantHue(palette) {
+    let x = 0;
+    let y = 0;
+    palette.forEach(c => {
+      const lch = rgbToOklch(c.r, c.g, c.b);
+      if (lch.C < DOMINANT_HUE_MIN_CHROMA) return;
+      const weight = (c.population || 1) * lch.C;
+      x += Math.cos(lch.h * Math.PI / 180) * weight;
+      y += Math.sin(lch.h * Math.PI / 180) * weight;
+    });
+    if (x === 0 && y === 0) return null;
+    const h = Math.atan2(y, x) * 180 / Math.PI;
+    return h < 0 ? h + 360 : h;
+  }
+
+  /**
+   * Map one mode's core tokens into the other by flipping OKLCH lightness
+   * between the two MODE_LIGHTNESS spans. Neutrals take a faint tint of
+   * the dominant hue; primary keeps its own hue and chroma and has its
+   * lightness clamped into the mode's DERIVED_PRIMARY_LIGHTNESS. Contrast is
+   * not checked here, generateTokens applies its usual rules afterwards.
+   * @param {Object} source - Tokens of the other mode (bg … primary)
+   * @param {string} mode - Mode to derive: 'light' | 'dark'
+   * @param {number|null} dominantHue - From getDominantHue
+   * @returns {Object} { bg, surface, border, heading, text, mutedText, primary }
+   */
+  function deriveThemeTokens(source, mode, dominantHue) {
+    const sourceMode = mode === 'light' ? 'dark' : 'light';
+    const [fromMin, fromMax] = MODE_LIGHTNESS[sourceMode];
+    const [toMin, toMax] = MODE_LIGHTNESS[mode];
+    const lchOf = (hex) => {
+      const rgb = hexToRgb(hex);
+      return rgbToOklch(rgb.r, rgb.g, rgb.b);
+    };
+    const remap = (L) => {
+      const t = Math.max(0, Math.min(1, (L - fromMin) / (fromMax - fromMin)));
+      return toMax - t * (toMax - toMin);
+    };
+    const toHex = (rgb) => rgbToHex(rgb.r, rgb.g, rgb.b);
+    const neutral = (L) => toHex(dominantHue === null
+      ? oklchToRgb(Math.max(0, Math.min(1, L)), 0, 0)
+      : oklchToRgb(Math.max(0, Math.min(1, L)), DERIVED_TINT, dominantHue));
+
+    const sourceBg = lchOf(source.bg);
+    const bgL = remap(sourceBg.L);
+    // Layers keep at least a visible step from bg
+    const layer = (token) =>
+      bgL + DERIVED_LAYER_DIRECTION[mode][token] * Math.max(Math.abs(lchOf(source[token]).L - sourceBg.L), 0.02);
+    const primary = lchOf(source.primary);
+    const [primaryMin, primaryMax] = DERIVED_PRIMARY_LIGHTNESS[mode];
+
+    return {
+      bg: neutral(bgL),
+      surface: neutral(layer('surface')),
+      border: neutral(layer('border')),
+      heading: neutral(remap(lchOf(source.heading).L)),
+      text: neutral(remap(lchOf(source.text).L)),
+      mutedText: neutral(remap(lchOf(source.mutedText).L)),
+      primary: toHex(oklchToRgb(Math.max(primaryMin, Math.min(primaryMax, primary.L)), primary.C, primary.h))
+    };
+  }
+
+  // ============================================
+  // COLOR HARMONY
+  // ============================================
+
+  const HARMONY_CHROMA = 0.14;
+  const HARMONY_START_LIGHTNESS = { light: 0.55, dark: 0.72 };
+  // All-gray palettes pick a side by temperature instead of a hue
+  const HARMONY_WARM_HUE = 55;
+  const HARMONY_COOL_HUE = 250;
+  const HARMONIES = [
+    { key: 'analogous', label: 'Analogous', offsets: [30, -30] },
+    { key: 'complementary', label: 'Complementary', offsets: [180] },
+    { key: 'split-complementary', label: 'Split-complementary', offsets: [150, 210] },
+    { key: 'triadic', label: 'Triadic', offsets: [120, 240] }
+  ];
+
+  /**
+   * Hue the harmonies turn around: the palette's dominant hue, or for
+   * grays a warm or cool hue depending on which way their tint leans
+   */
+  function getHarmonyBaseHue(palette) {
+    const dominant = getDominantHue(palette);
+    if (dominant !== null) return dominant;
+
+    let warmth = 0;
+    palette.forEach(c => {
+      const lab = rgbToOklab(c.r, c.g, c.b);
+      warmth += (lab.a + lab.b) * (c.population || 1);
+    });
+    return warmth >= 0 ? HARMONY_WARM_HUE : HARMONY_COOL_HUE;
+  }
+
+  /**
+   * Primary suggestions in harmony with the palette, for images without a
+   * usable accent. Each keeps a fixed chroma on its harmony hue and walks
+   * lightness (starting from the given mode's) until a white or black label
+   * reads, then reports whether it also stands out from each mode's surface.
+   * A locked primary is used by both modes, so both are worth checking.
+   * @param {Array} palette - Extracted colors with population
+   * @param {Object} modeTokens - { light, dark } tokens with surface set; either may be left out
+   * @param {string} mode - 'light' | 'dark', the mode the suggestion is built for
+   * @param {Object} contrastPolicy - From createContrastPolicy
+   * @returns {Array} [{ harmony, label, hue, hex, onPrimary, labelContrast, surfaceContrast, pass, surfaces: { mode: { contrast, pass } } }]
+   */
+  function generateHarmonyPrimaries(palette, modeTokens, mode, contrastPolicy = createContrastPolicy()) {
+    const baseHue = getHarmonyBaseHue(palette);
+    const startL = HARMONY_START_LIGHTNESS[mode];
+
+    return HARMONIES.flatMap(harmony => harmony.offsets.map(offset => {
+      const hue = (baseHue + offset + 360) % 360;
+      const onRgb = hexToRgb(getOnColor(oklchToRgb(startL, HARMONY_CHROMA, hue), contrastPolicy));
+      const rgb = findContrastingLightness(
+        startL, HARMONY_CHROMA, hue, [onRgb], contrastPolicy.body, onRgb.r === 255 ? -1 : 1,
+        (fill, text) => contrastPolicy.measure(text, fill)
+      );
+      const onPrimary = getOnColor(rgb, contrastPolicy);
+      const labelContrast = contrastPolicy.measure(hexToRgb(onPrimary), rgb);
+      const surfaces = {};
+      Object.entries(modeTokens).forEach(([surfaceMode, tokens]) => {
+        if (!tokens?.surface) return;
+        const contrast = contrastPolicy.measure(rgb, hexToRgb(tokens.surface));
+        surfaces[surfaceMode] = {
+          contrast,
+          pass: labelContrast >= contrastPolicy.body && contrast >= contrastPolicy.accent
+        };
+      });
+
+      return {
+        harmony: harmony.key,
+        // Two-hue harmonies name their side so the pair can be told apart
+        label: harmony.offsets.length > 1
+          ? `${harmony.label} ${offset > 0 ? '+' : '−'}${Math.abs(offset)}°`
+          : harmony.label,
+        hue: Math.round(hue),
+        hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+        onPrimary,
+        labelContrast,
+        surfaceContrast: surfaces[mode].contrast,
+        pass: surfaces[mode].pass,
+        surfaces
+      };
+    }));
+  }
+
+  // ============================================
+  // HIGH-CONTRAST VARIANTS
+  // ============================================
+
+  // Token sets returned by generateTokens, in preview and export order
+  const THEME_VARIANTS = [
+    { key: 'light', mode: 'light', label: 'Light Mode' },
+    { key: 'dark', mode: 'dark', label: 'Dark Mode' },
+    { key: 'lightHighContrast', mode: 'light', label: 'Light High Contrast' },
+    { key: 'darkHighContrast', mode: 'dark', label: 'Dark High Contrast' }
+  ];
+
+  /**
+   * Push the border on its own hue until it reaches non-text contrast
+   * against both bg and surface, so card and field edges stay visible
+   */
+  function strengthenBorder(tokens, mode, contrastPolicy) {
+    const border = hexToRgb(tokens.border);
+    const lch = rgbToOklch(border.r, border.g, border.b);
+    const rgb = findContrastingLightness(
+      lch.L, lch.C, lch.h,
+      [hexToRgb(tokens.bg), hexToRgb(tokens.surface)],
+      contrastPolicy.nonText,
+      mode === 'light' ? -1 : 1,
+      contrastPolicy.measure
+    );
+    return rgbToHex(rgb.r, rgb.g, rgb.b);
+  }
+
+  // ============================================
+  // TOKEN MAPPING
+  // ============================================
+
+  /**
+   * Generate design tokens from palette
+   */
+  function generateTokens(palette, lockedPrimary = null, lockedLightBg = null, lockedDarkBg = null, options = {}) {
+    const warnings = [];
+    const contrastPolicy = options.contrastPolicy || createContrastPolicy();
+    const measure = contrastPolicy.measure;
+    // Per-mode pins for tokens other than primary and bg: { light: { heading: '#hex' }, dark: {} }
+    const lightLocks = options.tokenLocks?.light || {};
+    const darkLocks = options.tokenLocks?.dark || {};
+
+    const analyzed = palette.map(c => ({
+      ...c,
+      hex: rgbToHex(c.r, c.g, c.b),
+      luminance: getLuminance(c.r, c.g, c.b),
+      saturation: getSaturation(c.r, c.g, c.b)
+    }));
+
+    // Why each token got its color, per mode: { tier, candidates, rejected }
+    const trace = { light: {}, dark: {} };
+    const explain = (mode, token, tier, details = {}) => {
+      trace[mode][token] = {
+        tier,
+        candidates: details.candidates || [],
+        rejected: details.rejected || []
+      };
+    };
+    const ranked = (colors, scoreKey, scoreLabel) => colors.map(c => ({
+      hex: c.hex,
+      score: c[scoreKey],
+      scoreLabel
+    }));
+
+    // Run named checks over the palette; a color is rejected by the first it fails
+    const screen = (checks) => {
+      const passed = [];
+      const rejected = [];
+      analyzed.forEach(c => {
+        const failed = checks.find(([, test]) => !test(c));
+        if (failed) rejected.push({ hex: c.hex, reason: failed[0] });
+        else passed.push(c);
+      });
+      return { passed, rejected };
+    };
+
+    const findBest = (checks, sortKey = 'population') => {
+      const { passed, rejected } = screen(checks);
+      const sorted = passed.sort((a, b) => b[sortKey] - a[sortKey]);
+      return { best: sorted[0] || null, candidates: ranked(sorted, sortKey, sortKey), rejected };
+    };
+
+    // Always use fallback colors when no palette color matches
+    const useColor = (color, fallbackHex) => {
+      if (color) return color.hex;
+      return fallbackHex;
+    };
+
+    // Repaired colors, reported so the UI can show what moved and by how much
+    const repairs = [];
+    const recordRepair = (mode, token, fromHex, repaired, before) => {
+      repairs.push({
+        mode,
+        token,
+        from: fromHex,
+        to: repaired.hex,
+        deltaL: repaired.deltaL,
+        deltaC: repaired.deltaC,
+        before,
+        after: repaired.contrast,
+        pass: repaired.pass
+      });
+    };
+
+    // A token repaired a second time is reported as one repair from its original color
+    const recordFollowUpRepair = (mode, token, fromHex, repaired, before) => {
+      const earlier = repairs.findIndex(r => r.mode === mode && r.token === token && r.to === fromHex);
+      if (earlier === -1) {
+        recordRepair(mode, token, fromHex, repaired, before);
+        return;
+      }
+      const [first] = repairs.splice(earlier, 1);
+      recordRepair(mode, token, first.from, repaired, first.before);
+    };
+
+    // Ensure contrast helper - validates and guarantees contrast for text tokens
+    const FALLBACK_TINT = 0.02;  // OKLCH chroma cap when fallback grays take the surface or bg hue
+    const ensureContrast = (candidateHex, backgroundRgb, minContrast, fallbackLight, fallbackDark, mode, token, details = {}) => {
+      const target = contrastPolicy.format(minContrast);
+      if (candidateHex) {
+        const candidateRgb = hexToRgb(candidateHex);
+        const before = measure(candidateRgb, backgroundRgb);
+        if (before >= minContrast) {
+          explain(mode, token, `Best-ranked palette candidate; reaches ${target} on surface`, details);
+          return candidateHex;
+        }
+        // Keep the palette hue rather than swapping in a gray
+        const repaired = repairContrast(candidateRgb, [backgroundRgb], minContrast, measure);
+        recordRepair(mode, token, candidateHex, repaired, before);
+        explain(mode, token, `Best-ranked palette candidate ${candidateHex} repaired on its own hue to reach ${target}`, details);
+        return repaired.hex;
+      }
+      // No candidate - tint both fallback grays toward the hue of the surface
+      // (or of bg, whichever has more color) and pick the one that passes,
+      // repairing it when neither does
+      const modeBg = (mode === 'light' ? lightTokens : darkTokens).bg;
+      const tintSource = [backgroundRgb, modeBg && hexToRgb(modeBg)]
+        .filter(Boolean)
+        .map(c => rgbToOklch(c.r, c.g, c.b))
+        .reduce((a, b) => (b.C > a.C ? b : a));
+      const tint = (hex) => {
+        const { r, g, b } = hexToRgb(hex);
+        const rgb = oklchToRgb(rgbToOklch(r, g, b).L, Math.min(tintSource.C, FALLBACK_TINT), tintSource.h);
+        return { rgb, hex: rgbToHex(rgb.r, rgb.g, rgb.b), contrast: measure(rgb, backgroundRgb) };
+      };
+      const light = tint(fallbackLight);
+      const dark = tint(fallbackDark);
+      const fallback = light.contrast >= minContrast || (dark.contrast < minContrast && light.contrast > dark.contrast)
+        ? light
+        : dark;
+      const reason = details.reason || 'no palette color passed the filters';
+
+      if (fallback.contrast >= minContrast) {
+        explain(mode, token, `Fallback ${fallback.hex}: ${reason}; neutral tinted toward the surface or bg hue`, details);
+        return fallback.hex;
+      }
+      const repaired = repairContrast(fallback.rgb, [backgroundRgb], minContrast, measure);
+      recordRepair(mode, token, fallback.hex, repaired, fallback.contrast);
+      explain(mode, token, `Fallback ${fallback.hex}: ${reason}; tinted and repaired to reach ${target}`, details);
+      return repaired.hex;
+    };
+
+    // Last check of heading, text and muted text against bg as well as
+    // surface, once bg is final; the picks above only had to pass on surface
+    const settleTextContrast = (mode, tokens, locks) => {
+      const backgrounds = [hexToRgb(tokens.bg), hexToRgb(tokens.surface)];
+      [['heading', contrastPolicy.heading], ['text', contrastPolicy.body], ['mutedText', contrastPolicy.muted]]
+        .forEach(([token, min]) => {
+          if (locks[token] || !tokens[token]) return;
+          const rgb = hexToRgb(tokens[token]);
+          const before = Math.min(...backgrounds.map(bg => measure(rgb, bg)));
+          if (before >= min) return;
+
+          const repaired = repairContrast(rgb, backgrounds, min, measure);
+          recordFollowUpRepair(mode, token, tokens[token], repaired, before);
+          explain(mode, token, `${trace[mode][token].tier}; then moved on its own hue to reach ${contrastPolicy.format(min)} on bg and surface`, trace[mode][token]);
+          tokens[token] = repaired.hex;
+        });
+    };
+
+    // Shift a fill on its own hue until a label (white or black by default)
+    // reads on it, preferring the direction that keeps it visible against the surface
+    const repairFill = (mode, token, fillHex, surfaceRgb, labels = [{ r: 255, g: 255, b: 255 }, { r: 0, g: 0, b: 0 }]) => {
+      const fillRgb = hexToRgb(fillHex);
+      const labelOnFill = (fill, label) => measure(label, fill);
+      const options = labels.map(label => ({
+        before: labelOnFill(fillRgb, label),
+        repaired: repairContrast(fillRgb, [label], contrastPolicy.body, labelOnFill)
+      }));
+      const score = (option) => (option.repaired.pass ? 2 : 0) +
+        (measure(hexToRgb(option.repaired.hex), surfaceRgb) >= contrastPolicy.accent ? 1 : 0);
+      const best = options.sort((a, b) =>
+        score(b) - score(a) || Math.abs(a.repaired.deltaL) - Math.abs(b.repaired.deltaL)
+      )[0];
+
+      recordRepair(mode, token, fillHex, best.repaired, best.before);
+      return best.repaired.hex;
+    };
+
+    // First harmony suggestion that passes (analogous comes first, so the
+    // image's mood is kept when it can be)
+    const pickHarmonyPrimary = (tokens, mode) => {
+      const suggestions = generateHarmonyPrimaries(palette, { [mode]: tokens }, mode, contrastPolicy);
+      const suggestion = suggestions.find(s => s.pass) || suggestions[0];
+      const rgb = hexToRgb(suggestion.hex);
+      return {
+        ...suggestion,
+        color: {
+          ...rgb,
+          hex: suggestion.hex,
+          luminance: getLuminance(rgb.r, rgb.g, rgb.b),
+          saturation: getSaturation(rgb.r, rgb.g, rgb.b),
+          harmony: true
+        }
+      };
+    };
+
+    // Primary and its label, once any label repair has settled them
+    const explainPrimary = (mode, tokens, tier, details, pickedHex) => {
+      const target = contrastPolicy.format(contrastPolicy.body);
+      const repaired = pickedHex && tokens.primary !== pickedHex
+        ? `; repaired from ${pickedHex} so its label reaches ${target}`
+        : '';
+      explain(mode, 'primary', tier + repaired, details);
+
+      const primaryRgb = hexToRgb(tokens.primary);
+      explain(mode, 'onPrimary', `White or black, whichever reaches ${target} on primary`, {
+        candidates: ['#ffffff', '#000000'].map(hex => ({
+          hex,
+          score: measure(hexToRgb(hex), primaryRgb),
+          scoreLabel: 'contrast'
+        }))
+      });
+    };
+
+    // A locked label wins; an unlocked primary is repaired around it instead
+    const applyOnPrimaryLock = (tokens, mode, labelHex) => {
+      tokens.onPrimary = labelHex;
+      if (!lockedPrimary && measure(hexToRgb(labelHex), hexToRgb(tokens.primary)) < contrastPolicy.body) {
+        tokens.primary = repairFill(mode, 'primary', tokens.primary, hexToRgb(tokens.surface), [hexToRgb(labelHex)]);
+      }
+    };
+
+    // Last resort before a stock blue: the most colorful unused palette color,
+    // moved on its own hue until it stands out from the surface
+    const repairPrimarySeed = (mode, usedHexes, surfaceRgb) => {
+      const seed = analyzed
+        .filter(c => !usedHexes.includes(c.hex))
+        .map(c => ({ ...c, chroma: rgbToOklch(c.r, c.g, c.b).C }))
+        .filter(c => c.chroma >= 0.06)
+        .sort((a, b) => b.chroma - a.chroma)[0];
+      if (!seed) return null;
+
+      const repaired = repairContrast(seed, [surfaceRgb], contrastPolicy.accent, measure);
+      if (!repaired.pass) return null;
+      recordRepair(mode, 'primary', seed.hex, repaired, measure(seed, surfaceRgb));
+
+      const rgb = hexToRgb(repaired.hex);
+      return {
+        ...rgb,
+        hex: repaired.hex,
+        luminance: getLuminance(rgb.r, rgb.g, rgb.b),
+        saturation: getSaturation(rgb.r, rgb.g, rgb.b),
+        repaired: true
+      };
+    };
 
     // ============================================
     // LIGHT MODE TOKEN GENERATION
@@ -590,7 +2140,14 @@
       }
     } else {
       // Relaxed: luminance > 0.75 (was 0.85), saturation < 0.20 (was 0.15)
-      lightBgCandidate = findBest(c => c.luminance > 0.75 && c.saturation < 0.20);
+      const lightBgPick = findBest([
+        ['too dark (luminance ≤ 0.75)', c => c.luminance > 0.75],
+        ['too saturated (≥ 0.20)', c => c.saturation < 0.20]
+      ]);
+      lightBgCandidate = lightBgPick.best;
+      explain('light', 'bg', lightBgCandidate
+        ? 'Most common light, low-saturation palette color'
+        : 'Fallback #f7f7f7: no palette color is light and neutral enough', lightBgPick);
     }
     lightTokens.bg = useColor(lightBgCandidate, '#f7f7f7');
 
@@ -598,42 +2155,49 @@
       getLuminance(...Object.values(hexToRgb(lightTokens.bg))) : 0.95;
 
     // Relaxed: luminance > 0.85 (was 0.92), saturation < 0.12 (was 0.05)
-    const lightSurfaceCandidate = findBest(c =>
-      c.luminance > 0.85 &&
-      c.saturation < 0.12 &&
-      (!lightBgCandidate || c.hex !== lightBgCandidate.hex)
-    );
+    const lightSurfacePick = findBest([
+      ['too dark (luminance ≤ 0.85)', c => c.luminance > 0.85],
+      ['too saturated (≥ 0.12)', c => c.saturation < 0.12],
+      ['already used as bg', c => !lightBgCandidate || c.hex !== lightBgCandidate.hex]
+    ]);
+    const lightSurfaceCandidate = lightSurfacePick.best;
     lightTokens.surface = useColor(lightSurfaceCandidate, '#ffffff');
+    explain('light', 'surface', lightSurfaceCandidate
+      ? 'Most common very light, near-neutral palette color other than bg'
+      : 'Fallback #ffffff: no palette color is light and neutral enough', lightSurfacePick);
 
     if (lightTokens.surface === lightTokens.bg) {
       lightTokens.surface = '#ffffff';
+      explain('light', 'surface', 'Fallback #ffffff: the pick matched bg', lightSurfacePick);
     }
+    if (lightLocks.surface) lightTokens.surface = lightLocks.surface;
 
     const lightSurfaceLuminance = lightTokens.surface ?
       getLuminance(...Object.values(hexToRgb(lightTokens.surface))) : 1;
 
     // Relaxed: luminance range 0.5-0.95 (was 0.7-0.92), saturation < 0.15 (was 0.1)
-    const lightBorderCandidate = findBest(c =>
-      c.luminance < lightSurfaceLuminance &&
-      c.luminance > 0.5 &&
-      c.luminance < 0.95 &&
-      c.saturation < 0.15 &&
-      c.hex !== lightTokens.bg &&
-      c.hex !== lightTokens.surface
-    );
-    lightTokens.border = useColor(lightBorderCandidate, '#e0e0e0');
+    const lightBorderPick = findBest([
+      ['not darker than surface', c => c.luminance < lightSurfaceLuminance],
+      ['outside luminance 0.5–0.95', c => c.luminance > 0.5 && c.luminance < 0.95],
+      ['too saturated (≥ 0.15)', c => c.saturation < 0.15],
+      ['already used as bg or surface', c => c.hex !== lightTokens.bg && c.hex !== lightTokens.surface]
+    ]);
+    const lightBorderCandidate = lightBorderPick.best;
+    lightTokens.border = lightLocks.border || useColor(lightBorderCandidate, '#e0e0e0');
+    explain('light', 'border', lightBorderCandidate
+      ? 'Most common mid-light neutral palette color just darker than surface'
+      : 'Fallback #e0e0e0: no palette color fits between surface and text', lightBorderPick);
 
     const surfaceRgb = hexToRgb(lightTokens.surface || '#ffffff');
 
     const LIGHT_TEXT_MAX_SATURATION = 0.25;
 
-    const lightHeadingCandidates = analyzed
-      .filter(c => {
-        if (c.saturation > LIGHT_TEXT_MAX_SATURATION) return false;
-        if (!surfaceRgb) return c.luminance < 0.2;
-        const contrast = getContrastRatio(c, surfaceRgb);
-        return contrast >= 4.5;
-      })
+    const lightTextScreen = screen([
+      [`too saturated (> ${LIGHT_TEXT_MAX_SATURATION})`, c => c.saturation <= LIGHT_TEXT_MAX_SATURATION],
+      [`below ${contrastPolicy.format(contrastPolicy.body)} on surface`, c =>
+        surfaceRgb ? measure(c, surfaceRgb) >= contrastPolicy.body : c.luminance < 0.2]
+    ]);
+    const lightHeadingCandidates = lightTextScreen.passed
       .map(c => ({
         ...c,
         textScore: (1 - c.luminance) * 2 - c.saturation * 2
@@ -641,56 +2205,70 @@
       .sort((a, b) => b.textScore - a.textScore);
 
     const lightHeadingCandidate = lightHeadingCandidates[0];
-    // Use ensureContrast to guarantee heading passes WCAG AA
-    lightTokens.heading = ensureContrast(
+    const lightTextDetails = {
+      candidates: ranked(lightHeadingCandidates, 'textScore', 'text score'),
+      rejected: lightTextScreen.rejected
+    };
+    // Use ensureContrast to guarantee heading passes the heading minimum
+    lightTokens.heading = lightLocks.heading || ensureContrast(
       lightHeadingCandidate?.hex,
       surfaceRgb || { r: 255, g: 255, b: 255 },
-      4.5,
+      contrastPolicy.heading,
       '#1a1a1a',  // Near-black fallback
-      '#000000'   // Pure black fallback
+      '#000000',  // Pure black fallback
+      'light',
+      'heading',
+      lightTextDetails
     );
 
     const lightTextCandidate = lightHeadingCandidates.find(c =>
       c.hex !== lightHeadingCandidate?.hex
     ) || lightHeadingCandidate;
-    // Use ensureContrast to guarantee text passes WCAG AA
-    lightTokens.text = ensureContrast(
+    // Use ensureContrast to guarantee text passes the body minimum
+    lightTokens.text = lightLocks.text || ensureContrast(
       lightTextCandidate?.hex,
       surfaceRgb || { r: 255, g: 255, b: 255 },
-      4.5,
+      contrastPolicy.body,
       '#333333',  // Dark gray fallback
-      '#111111'   // Darker fallback
+      '#111111',  // Darker fallback
+      'light',
+      'text',
+      lightTextDetails
     );
 
-    if (lightTokens.text && lightTokens.heading) {
+    if (lightTokens.text && lightTokens.heading && !lightLocks.text && !lightLocks.heading) {
       const textLum = getLuminance(...Object.values(hexToRgb(lightTokens.text)));
       const headingLum = getLuminance(...Object.values(hexToRgb(lightTokens.heading)));
       if (textLum < headingLum) {
         [lightTokens.text, lightTokens.heading] = [lightTokens.heading, lightTokens.text];
+        [trace.light.text, trace.light.heading] = [trace.light.heading, trace.light.text];
       }
     }
 
     // Ensure heading and text are different for visual hierarchy
-    if (lightTokens.heading === lightTokens.text) {
+    if (lightTokens.heading === lightTokens.text && !lightLocks.heading && !lightLocks.text) {
       // Heading should be darker (bolder), text slightly lighter
-      lightTokens.heading = '#1a1a1a';
-      lightTokens.text = '#444444';
+      const identical = { ...lightTextDetails, reason: 'heading and text came out identical' };
+      lightTokens.heading = ensureContrast(null, surfaceRgb, contrastPolicy.heading, '#1a1a1a', '#000000', 'light', 'heading', identical);
+      lightTokens.text = ensureContrast(null, surfaceRgb, contrastPolicy.body, '#444444', '#333333', 'light', 'text', identical);
     }
 
     const textLuminance = lightTokens.text ?
       getLuminance(...Object.values(hexToRgb(lightTokens.text))) : 0;
 
-    const lightMutedCandidates = analyzed
-      .filter(c => {
-        if (c.saturation > LIGHT_TEXT_MAX_SATURATION) return false;
+    const [lightMutedMin, lightMutedMax] = contrastPolicy.mutedBand.light;
+    const lightMutedScreen = screen([
+      [`too saturated (> ${LIGHT_TEXT_MAX_SATURATION})`, c => c.saturation <= LIGHT_TEXT_MAX_SATURATION],
+      // Raised from 3 to 4 for better readability candidates
+      [`outside ${contrastPolicy.format(lightMutedMin)}–${contrastPolicy.format(lightMutedMax)} on surface`, c => {
         if (!surfaceRgb) return c.luminance > 0.2 && c.luminance < 0.5;
-        const contrast = getContrastRatio(c, surfaceRgb);
-        // Raised from 3 to 4 for better readability candidates
-        return contrast >= 4 && contrast < 7 &&
-               c.luminance > textLuminance &&
-               c.hex !== lightTokens.heading &&
-               c.hex !== lightTokens.text;
-      })
+        const contrast = measure(c, surfaceRgb);
+        return contrast >= lightMutedMin && contrast < lightMutedMax;
+      }],
+      ['not lighter than text', c => !surfaceRgb || c.luminance > textLuminance],
+      ['already used as heading or text', c => !surfaceRgb || (c.hex !== lightTokens.heading && c.hex !== lightTokens.text)]
+    ]);
+    const lightMutedCandidates = lightMutedScreen.passed
       .map(c => ({
         ...c,
         mutedScore: (1 - Math.abs(c.luminance - 0.4)) - c.saturation
@@ -698,20 +2276,23 @@
       .sort((a, b) => b.mutedScore - a.mutedScore);
 
     // Use ensureContrast to guarantee mutedText is comfortably readable
-    // Raised from 4.5 to 5.5 for better readability (4.5 is the minimum, not optimal)
+    // Aims above the minimum (5.5:1 under WCAG) for better readability
     const lightMutedCandidate = lightMutedCandidates[0]?.hex;
-    lightTokens.mutedText = ensureContrast(
+    lightTokens.mutedText = lightLocks.mutedText || ensureContrast(
       lightMutedCandidate,
       surfaceRgb || { r: 255, g: 255, b: 255 },
-      5.5,  // Raised from 4.5 for comfortable readability
+      contrastPolicy.mutedComfort,  // Above the muted minimum for comfortable readability
       '#555555',  // Darker fallback for better contrast
-      '#444444'   // Even darker fallback
+      '#444444',  // Even darker fallback
+      'light',
+      'mutedText',
+      { candidates: ranked(lightMutedCandidates, 'mutedScore', 'muted score'), rejected: lightMutedScreen.rejected }
     );
 
     // VALIDATION: Ensure bg passes contrast with all text tokens
     // This fixes the chicken-and-egg problem where bg is selected before text tokens exist
-    const BG_MIN_CONTRAST = 4.5;
-    const BG_MUTED_MIN_CONTRAST = 3.0;
+    const BG_MIN_CONTRAST = contrastPolicy.body;
+    const BG_MUTED_MIN_CONTRAST = contrastPolicy.muted;
 
     const lightBgRgb = hexToRgb(lightTokens.bg);
     let lightBgNeedsReplacement = false;
@@ -721,13 +2302,13 @@
       const textRgbForBg = hexToRgb(lightTokens.text);
       const mutedRgbForBg = hexToRgb(lightTokens.mutedText);
 
-      if (headingRgbForBg && getContrastRatio(headingRgbForBg, lightBgRgb) < BG_MIN_CONTRAST) {
+      if (headingRgbForBg && measure(headingRgbForBg, lightBgRgb) < BG_MIN_CONTRAST) {
         lightBgNeedsReplacement = true;
       }
-      if (textRgbForBg && getContrastRatio(textRgbForBg, lightBgRgb) < BG_MIN_CONTRAST) {
+      if (textRgbForBg && measure(textRgbForBg, lightBgRgb) < BG_MIN_CONTRAST) {
         lightBgNeedsReplacement = true;
       }
-      if (mutedRgbForBg && getContrastRatio(mutedRgbForBg, lightBgRgb) < BG_MUTED_MIN_CONTRAST) {
+      if (mutedRgbForBg && measure(mutedRgbForBg, lightBgRgb) < BG_MUTED_MIN_CONTRAST) {
         lightBgNeedsReplacement = true;
       }
     }
@@ -744,23 +2325,32 @@
         .filter(c => {
           if (c.luminance < 0.65) return false;
           const bgRgb = { r: c.r, g: c.g, b: c.b };
-          if (headingRgbForBg && getContrastRatio(headingRgbForBg, bgRgb) < BG_MIN_CONTRAST) return false;
-          if (textRgbForBg && getContrastRatio(textRgbForBg, bgRgb) < BG_MIN_CONTRAST) return false;
-          if (mutedRgbForBg && getContrastRatio(mutedRgbForBg, bgRgb) < BG_MUTED_MIN_CONTRAST) return false;
+          if (headingRgbForBg && measure(headingRgbForBg, bgRgb) < BG_MIN_CONTRAST) return false;
+          if (textRgbForBg && measure(textRgbForBg, bgRgb) < BG_MIN_CONTRAST) return false;
+          if (mutedRgbForBg && measure(mutedRgbForBg, bgRgb) < BG_MUTED_MIN_CONTRAST) return false;
           return true;
         })
         .sort((a, b) => b.luminance - a.luminance);
 
+      const replacedTier = 'Replaced: the first pick failed contrast with the text tokens';
       if (validLightBgCandidates.length > 0) {
         lightTokens.bg = validLightBgCandidates[0].hex;
+        explain('light', 'bg', `${replacedTier}; lightest palette color that passes`, {
+          candidates: ranked(validLightBgCandidates, 'luminance', 'luminance'),
+          rejected: trace.light.bg?.rejected
+        });
       } else {
+        explain('light', 'bg', `${replacedTier}; fallback #f7f7f7`, trace.light.bg);
         // Ultimate fallback: use safe white/near-white
         lightTokens.bg = '#f7f7f7';
       }
     }
+    settleTextContrast('light', lightTokens, lightLocks);
 
     // Primary color selection for light mode
     let lightPrimary = null;
+    let lightPrimaryTier = 'Locked primary';
+    let lightPrimaryDetails = {};
 
     if (lockedPrimary) {
       lightPrimary = analyzed.find(c => c.hex.toLowerCase() === lockedPrimary.toLowerCase());
@@ -784,17 +2374,14 @@
       const lightSurfaceForPrimary = hexToRgb(lightTokens.surface || '#ffffff');
       const lightBgForPrimary = hexToRgb(lightTokens.bg || '#f7f7f7');
 
-      const primaryCandidates = analyzed
-        .filter(c => {
-          if (c.saturation < PRIMARY_MIN_SATURATION) return false;
-          if (usedTextColors.includes(c.hex)) return false;
-
-          // Fix 1: Relaxed contrast - only check surface (not bg), lowered to 2.5:1
-          const contrastVsSurface = getContrastRatio(c, lightSurfaceForPrimary);
-          if (contrastVsSurface < 2.5) return false;
-
-          return true;
-        })
+      const primaryScreen = screen([
+        [`saturation below ${PRIMARY_MIN_SATURATION}`, c => c.saturation >= PRIMARY_MIN_SATURATION],
+        ['already used for text', c => !usedTextColors.includes(c.hex)],
+        // Fix 1: Relaxed contrast - only check surface (not bg), lowered to 2.5:1
+        [`below ${contrastPolicy.format(contrastPolicy.accent)} on surface`, c =>
+          measure(c, lightSurfaceForPrimary) >= contrastPolicy.accent]
+      ]);
+      const primaryCandidates = primaryScreen.passed
         .map(c => {
           const isVibrant = palette.find(p =>
             rgbToHex(p.r, p.g, p.b).toLowerCase() === c.hex.toLowerCase()
@@ -805,8 +2392,8 @@
           const luminanceScore = 1 - Math.abs(c.luminance - 0.45);
           const populationScore = Math.log(c.population + 1) / 12;
 
-          const contrastVsSurface = getContrastRatio(c, lightSurfaceForPrimary);
-          const contrastBonus = Math.min(contrastVsSurface / 10, 0.5);
+          const contrastVsSurface = measure(c, lightSurfaceForPrimary);
+          const contrastBonus = Math.min(contrastVsSurface / contrastPolicy.accent / 4, 0.5);
 
           // Fix 2: Much stronger penalties for extreme luminance colors
           // Ideal light mode primary: luminance 0.25-0.65
@@ -822,6 +2409,11 @@
         .sort((a, b) => b.primaryScore - a.primaryScore);
 
       lightPrimary = primaryCandidates[0];
+      lightPrimaryTier = 'Highest primary score (saturation, vibrancy, luminance, population, contrast)';
+      lightPrimaryDetails = {
+        candidates: ranked(primaryCandidates, 'primaryScore', 'primary score'),
+        rejected: primaryScreen.rejected
+      };
 
       // Fix 4: Fallback cascade - try progressively relaxed thresholds before default
       if (!lightPrimary) {
@@ -830,8 +2422,8 @@
           .filter(c => {
             if (c.saturation < 0.15) return false;
             if (usedTextColors.includes(c.hex)) return false;
-            const contrastVsSurface = getContrastRatio(c, lightSurfaceForPrimary);
-            if (contrastVsSurface < 2.5) return false;
+            const contrastVsSurface = measure(c, lightSurfaceForPrimary);
+            if (contrastVsSurface < contrastPolicy.accent) return false;
             // Exclude very dark and very light colors
             if (c.luminance < 0.15 || c.luminance > 0.85) return false;
             return true;
@@ -839,6 +2431,7 @@
           .sort((a, b) => b.saturation - a.saturation);
 
         lightPrimary = relaxedSatCandidates[0];
+        lightPrimaryTier = 'Try 1: most saturated color with saturation relaxed to 0.15';
       }
 
       if (!lightPrimary) {
@@ -847,8 +2440,8 @@
           .filter(c => {
             if (c.saturation < 0.15) return false;
             if (usedTextColors.includes(c.hex)) return false;
-            const contrastVsSurface = getContrastRatio(c, lightSurfaceForPrimary);
-            if (contrastVsSurface < 2.0) return false;
+            const contrastVsSurface = measure(c, lightSurfaceForPrimary);
+            if (contrastVsSurface < contrastPolicy.accentRelaxed) return false;
             // Exclude very dark and very light colors
             if (c.luminance < 0.15 || c.luminance > 0.85) return false;
             return true;
@@ -856,26 +2449,35 @@
           .sort((a, b) => b.saturation - a.saturation);
 
         lightPrimary = relaxedContrastCandidates[0];
+        lightPrimaryTier = `Try 2: most saturated color with contrast relaxed to ${contrastPolicy.format(contrastPolicy.accentRelaxed)}`;
       }
 
       if (!lightPrimary) {
-        // Final fallback: use default blue
-        lightPrimary = {
-          r: 0, g: 113, b: 227,
-          hex: '#0071e3',
-          luminance: getLuminance(0, 113, 227),
-          saturation: getSaturation(0, 113, 227)
-        };
+        // Try 3: Repair the most colorful palette color on its own hue
+        lightPrimary = repairPrimarySeed(
+          'light',
+          [...usedTextColors, lightTokens.bg, lightTokens.surface, lightTokens.border],
+          lightSurfaceForPrimary
+        );
+        lightPrimaryTier = 'Try 3: most colorful palette color, repaired on its own hue to stand out from surface';
       }
 
-      if (lightPrimary && !lightPrimary.isVibrant && lightPrimary.hex !== '#0071e3') {
+      if (!lightPrimary) {
+        // Final fallback: a color in harmony with the image's hue
+        const suggestion = pickHarmonyPrimary(lightTokens, 'light');
+        lightPrimaryTier = `Final fallback: ${suggestion.label.toLowerCase()} harmony (${suggestion.hue}°), nothing in the palette is colorful enough`;
+        lightPrimary = suggestion.color;
+      }
+
+      if (lightPrimary && !lightPrimary.isVibrant && !lightPrimary.repaired && !lightPrimary.harmony) {
         const moreVibrant = findMostVibrantVariant(
           { r: hexToRgb(lightPrimary.hex).r, g: hexToRgb(lightPrimary.hex).g, b: hexToRgb(lightPrimary.hex).b },
           palette
         );
         if (moreVibrant && getSaturation(moreVibrant.r, moreVibrant.g, moreVibrant.b) > lightPrimary.saturation * 1.2) {
-          const newContrast = getContrastRatio(moreVibrant, lightSurfaceForPrimary);
-          if (newContrast >= 3) {
+          const newContrast = measure(moreVibrant, lightSurfaceForPrimary);
+          if (newContrast >= contrastPolicy.nonText) {
+            lightPrimaryTier += `; swapped for its more vibrant variant ${rgbToHex(moreVibrant.r, moreVibrant.g, moreVibrant.b)}`;
             lightPrimary = {
               ...moreVibrant,
               hex: rgbToHex(moreVibrant.r, moreVibrant.g, moreVibrant.b),
@@ -887,41 +2489,30 @@
       }
     }
 
+    // Always set: the cascade above ends in a harmony color
     if (lightPrimary) {
       lightTokens.primary = lightPrimary.hex;
 
-      const contrastWithWhite = getContrastRatio(lightPrimary, { r: 255, g: 255, b: 255 });
-      const contrastWithBlack = getContrastRatio(lightPrimary, { r: 0, g: 0, b: 0 });
+      const contrastWithWhite = measure({ r: 255, g: 255, b: 255 }, lightPrimary);
+      const contrastWithBlack = measure({ r: 0, g: 0, b: 0 }, lightPrimary);
 
-      if (contrastWithWhite >= 4.5) {
+      if (contrastWithWhite >= contrastPolicy.body) {
         lightTokens.onPrimary = '#ffffff';
-      } else if (contrastWithBlack >= 4.5) {
+      } else if (contrastWithBlack >= contrastPolicy.body) {
         lightTokens.onPrimary = '#000000';
       } else {
         if (!lockedPrimary) {
-          const betterPrimary = analyzed.find(c => {
-            const cWhite = getContrastRatio(c, { r: 255, g: 255, b: 255 });
-            const cBlack = getContrastRatio(c, { r: 0, g: 0, b: 0 });
-            return (cWhite >= 4.5 || cBlack >= 4.5) && c.saturation > 0.2;
-          });
-
-          if (betterPrimary) {
-            lightTokens.primary = betterPrimary.hex;
-            const cw = getContrastRatio(betterPrimary, { r: 255, g: 255, b: 255 });
-            lightTokens.onPrimary = cw >= 4.5 ? '#ffffff' : '#000000';
-          } else {
-            lightTokens.primary = '#0071e3';
-            lightTokens.onPrimary = '#ffffff';
-          }
+          lightTokens.primary = repairFill('light', 'primary', lightPrimary.hex, hexToRgb(lightTokens.surface));
+          lightTokens.onPrimary = getOnColor(hexToRgb(lightTokens.primary), contrastPolicy);
         } else {
           lightTokens.onPrimary = contrastWithWhite > contrastWithBlack ? '#ffffff' : '#000000';
         }
       }
-    } else {
-      lightTokens.primary = useColor(null, '#0071e3');
-      lightTokens.onPrimary = '#ffffff';
     }
 
+    if (lightLocks.onPrimary) applyOnPrimaryLock(lightTokens, 'light', lightLocks.onPrimary);
+    explainPrimary('light', lightTokens, lightPrimaryTier, lightPrimaryDetails, lightPrimary?.hex);
+
     // ============================================
     // DARK MODE TOKEN GENERATION
     // ============================================
@@ -944,7 +2535,14 @@
       }
     } else {
       // Relaxed: luminance < 0.06 (was 0.03), saturation < 0.20 (was 0.15)
-      darkBgCandidate = findBest(c => c.luminance < 0.06 && c.saturation < 0.20);
+      const darkBgPick = findBest([
+        ['too light (luminance ≥ 0.06)', c => c.luminance < 0.06],
+        ['too saturated (≥ 0.20)', c => c.saturation < 0.20]
+      ]);
+      darkBgCandidate = darkBgPick.best;
+      explain('dark', 'bg', darkBgCandidate
+        ? 'Most common very dark, low-saturation palette color'
+        : 'Fallback #0b0b0b: no palette color is dark and neutral enough', darkBgPick);
     }
     darkTokens.bg = useColor(darkBgCandidate, '#0b0b0b');
 
@@ -952,42 +2550,50 @@
       getLuminance(...Object.values(hexToRgb(darkTokens.bg))) : 0.01;
 
     // Tightened: luminance < 0.05 to prevent mid-grays from being selected as dark surface
-    const darkSurfaceCandidate = findBest(c =>
-      c.luminance > bgLuminance &&
-      c.luminance < 0.05 &&
-      c.saturation < 0.15 &&
-      (!darkBgCandidate || c.hex !== darkBgCandidate.hex)
-    );
+    const darkSurfacePick = findBest([
+      ['not lighter than bg', c => c.luminance > bgLuminance],
+      ['too light (luminance ≥ 0.05)', c => c.luminance < 0.05],
+      ['too saturated (≥ 0.15)', c => c.saturation < 0.15],
+      ['already used as bg', c => !darkBgCandidate || c.hex !== darkBgCandidate.hex]
+    ]);
+    const darkSurfaceCandidate = darkSurfacePick.best;
     darkTokens.surface = useColor(darkSurfaceCandidate, '#141414');
+    explain('dark', 'surface', darkSurfaceCandidate
+      ? 'Most common dark neutral palette color just lighter than bg'
+      : 'Fallback #141414: no palette color sits just above bg', darkSurfacePick);
 
     if (darkTokens.surface === darkTokens.bg) {
       darkTokens.surface = '#141414';
+      explain('dark', 'surface', 'Fallback #141414: the pick matched bg', darkSurfacePick);
     }
+    if (darkLocks.surface) darkTokens.surface = darkLocks.surface;
 
     const surfaceLuminance = darkTokens.surface ?
       getLuminance(...Object.values(hexToRgb(darkTokens.surface))) : 0.02;
 
     // Relaxed: luminance < 0.35 (was 0.25), saturation < 0.20 (was 0.15)
-    const darkBorderCandidate = findBest(c =>
-      c.luminance > surfaceLuminance &&
-      c.luminance < 0.35 &&
-      c.saturation < 0.20 &&
-      c.hex !== darkTokens.bg &&
-      c.hex !== darkTokens.surface
-    );
-    darkTokens.border = useColor(darkBorderCandidate, '#2a2a2a');
+    const darkBorderPick = findBest([
+      ['not lighter than surface', c => c.luminance > surfaceLuminance],
+      ['too light (luminance ≥ 0.35)', c => c.luminance < 0.35],
+      ['too saturated (≥ 0.20)', c => c.saturation < 0.20],
+      ['already used as bg or surface', c => c.hex !== darkTokens.bg && c.hex !== darkTokens.surface]
+    ]);
+    const darkBorderCandidate = darkBorderPick.best;
+    darkTokens.border = darkLocks.border || useColor(darkBorderCandidate, '#2a2a2a');
+    explain('dark', 'border', darkBorderCandidate
+      ? 'Most common dark neutral palette color just lighter than surface'
+      : 'Fallback #2a2a2a: no palette color fits above surface', darkBorderPick);
 
     const darkSurfaceRgb = hexToRgb(darkTokens.surface || '#141414');
 
     const DARK_TEXT_MAX_SATURATION = 0.25;
 
-    const darkHeadingCandidates = analyzed
-      .filter(c => {
-        if (c.saturation > DARK_TEXT_MAX_SATURATION) return false;
-        if (!darkSurfaceRgb) return c.luminance > 0.7;
-        const contrast = getContrastRatio(c, darkSurfaceRgb);
-        return contrast >= 4.5;
-      })
+    const darkTextScreen = screen([
+      [`too saturated (> ${DARK_TEXT_MAX_SATURATION})`, c => c.saturation <= DARK_TEXT_MAX_SATURATION],
+      [`below ${contrastPolicy.format(contrastPolicy.body)} on surface`, c =>
+        darkSurfaceRgb ? measure(c, darkSurfaceRgb) >= contrastPolicy.body : c.luminance > 0.7]
+    ]);
+    const darkHeadingCandidates = darkTextScreen.passed
       .map(c => ({
         ...c,
         textScore: c.luminance * 2 - c.saturation * 2
@@ -995,56 +2601,70 @@
       .sort((a, b) => b.textScore - a.textScore);
 
     const darkHeadingCandidate = darkHeadingCandidates[0];
-    // Use ensureContrast to guarantee heading passes WCAG AA
-    darkTokens.heading = ensureContrast(
+    const darkTextDetails = {
+      candidates: ranked(darkHeadingCandidates, 'textScore', 'text score'),
+      rejected: darkTextScreen.rejected
+    };
+    // Use ensureContrast to guarantee heading passes the heading minimum
+    darkTokens.heading = darkLocks.heading || ensureContrast(
       darkHeadingCandidate?.hex,
       darkSurfaceRgb || { r: 11, g: 11, b: 11 },
-      4.5,
+      contrastPolicy.heading,
       '#ffffff',  // White fallback
-      '#e8e8e8'   // Lighter gray fallback
+      '#e8e8e8',  // Lighter gray fallback
+      'dark',
+      'heading',
+      darkTextDetails
     );
 
     const darkTextCandidate = darkHeadingCandidates.find(c =>
       c.hex !== darkHeadingCandidate?.hex
     ) || darkHeadingCandidate;
-    // Use ensureContrast to guarantee text passes WCAG AA
-    darkTokens.text = ensureContrast(
+    // Use ensureContrast to guarantee text passes the body minimum
+    darkTokens.text = darkLocks.text || ensureContrast(
       darkTextCandidate?.hex,
       darkSurfaceRgb || { r: 11, g: 11, b: 11 },
-      4.5,
+      contrastPolicy.body,
       '#f0f0f0',  // Light gray fallback
-      '#d4d4d4'   // Slightly darker fallback
+      '#d4d4d4',  // Slightly darker fallback
+      'dark',
+      'text',
+      darkTextDetails
     );
 
-    if (darkTokens.text && darkTokens.heading) {
+    if (darkTokens.text && darkTokens.heading && !darkLocks.text && !darkLocks.heading) {
       const textLum = getLuminance(...Object.values(hexToRgb(darkTokens.text)));
       const headingLum = getLuminance(...Object.values(hexToRgb(darkTokens.heading)));
       if (textLum > headingLum) {
         [darkTokens.text, darkTokens.heading] = [darkTokens.heading, darkTokens.text];
+        [trace.dark.text, trace.dark.heading] = [trace.dark.heading, trace.dark.text];
       }
     }
 
     // Ensure heading and text are different for visual hierarchy
-    if (darkTokens.heading === darkTokens.text) {
+    if (darkTokens.heading === darkTokens.text && !darkLocks.heading && !darkLocks.text) {
       // Heading should be lighter (bolder), text slightly darker
-      darkTokens.heading = '#ffffff';
-      darkTokens.text = '#c0c0c0';
+      const identical = { ...darkTextDetails, reason: 'heading and text came out identical' };
+      darkTokens.heading = ensureContrast(null, darkSurfaceRgb, contrastPolicy.heading, '#ffffff', '#f0f0f0', 'dark', 'heading', identical);
+      darkTokens.text = ensureContrast(null, darkSurfaceRgb, contrastPolicy.body, '#c0c0c0', '#e0e0e0', 'dark', 'text', identical);
     }
 
     const darkTextLuminance = darkTokens.text ?
       getLuminance(...Object.values(hexToRgb(darkTokens.text))) : 1;
 
-    const darkMutedCandidates = analyzed
-      .filter(c => {
-        if (c.saturation > DARK_TEXT_MAX_SATURATION) return false;
+    const [darkMutedMin, darkMutedMax] = contrastPolicy.mutedBand.dark;
+    const darkMutedScreen = screen([
+      [`too saturated (> ${DARK_TEXT_MAX_SATURATION})`, c => c.saturation <= DARK_TEXT_MAX_SATURATION],
+      // Raised from 3 to 4 for better readability candidates
+      [`outside ${contrastPolicy.format(darkMutedMin)}–${contrastPolicy.format(darkMutedMax)} on surface`, c => {
         if (!darkSurfaceRgb) return c.luminance > 0.3 && c.luminance < 0.6;
-        const contrast = getContrastRatio(c, darkSurfaceRgb);
-        // Raised from 3 to 4 for better readability candidates
-        return contrast >= 4 && contrast < 10 &&
-               c.luminance < darkTextLuminance &&
-               c.hex !== darkTokens.heading &&
-               c.hex !== darkTokens.text;
-      })
+        const contrast = measure(c, darkSurfaceRgb);
+        return contrast >= darkMutedMin && contrast < darkMutedMax;
+      }],
+      ['not darker than text', c => !darkSurfaceRgb || c.luminance < darkTextLuminance],
+      ['already used as heading or text', c => !darkSurfaceRgb || (c.hex !== darkTokens.heading && c.hex !== darkTokens.text)]
+    ]);
+    const darkMutedCandidates = darkMutedScreen.passed
       .map(c => ({
         ...c,
         mutedScore: (1 - Math.abs(c.luminance - 0.5)) - c.saturation
@@ -1052,19 +2672,22 @@
       .sort((a, b) => b.mutedScore - a.mutedScore);
 
     // Use ensureContrast to guarantee mutedText is comfortably readable
-    // Raised from 4.5 to 5.5 for better readability (4.5 is the minimum, not optimal)
+    // Aims above the minimum (5.5:1 under WCAG) for better readability
     const darkMutedCandidate = darkMutedCandidates[0]?.hex;
-    darkTokens.mutedText = ensureContrast(
+    darkTokens.mutedText = darkLocks.mutedText || ensureContrast(
       darkMutedCandidate,
       darkSurfaceRgb || { r: 11, g: 11, b: 11 },
-      5.5,  // Raised from 4.5 for comfortable readability
+      contrastPolicy.mutedComfort,  // Above the muted minimum for comfortable readability
       '#d0d0d0',  // Lighter fallback for better contrast
-      '#b8b8b8'   // Alternative fallback
+      '#b8b8b8',  // Alternative fallback
+      'dark',
+      'mutedText',
+      { candidates: ranked(darkMutedCandidates, 'mutedScore', 'muted score'), rejected: darkMutedScreen.rejected }
     );
 
     // VALIDATION: Ensure dark bg passes contrast with all text tokens
-    const DARK_BG_MIN_CONTRAST = 4.5;
-    const DARK_BG_MUTED_MIN_CONTRAST = 3.0;
+    const DARK_BG_MIN_CONTRAST = contrastPolicy.body;
+    const DARK_BG_MUTED_MIN_CONTRAST = contrastPolicy.muted;
 
     const darkBgRgb = hexToRgb(darkTokens.bg);
     let darkBgNeedsReplacement = false;
@@ -1074,13 +2697,13 @@
       const darkTextRgbForBg = hexToRgb(darkTokens.text);
       const darkMutedRgbForBg = hexToRgb(darkTokens.mutedText);
 
-      if (darkHeadingRgbForBg && getContrastRatio(darkHeadingRgbForBg, darkBgRgb) < DARK_BG_MIN_CONTRAST) {
+      if (darkHeadingRgbForBg && measure(darkHeadingRgbForBg, darkBgRgb) < DARK_BG_MIN_CONTRAST) {
         darkBgNeedsReplacement = true;
       }
-      if (darkTextRgbForBg && getContrastRatio(darkTextRgbForBg, darkBgRgb) < DARK_BG_MIN_CONTRAST) {
+      if (darkTextRgbForBg && measure(darkTextRgbForBg, darkBgRgb) < DARK_BG_MIN_CONTRAST) {
         darkBgNeedsReplacement = true;
       }
-      if (darkMutedRgbForBg && getContrastRatio(darkMutedRgbForBg, darkBgRgb) < DARK_BG_MUTED_MIN_CONTRAST) {
+      if (darkMutedRgbForBg && measure(darkMutedRgbForBg, darkBgRgb) < DARK_BG_MUTED_MIN_CONTRAST) {
         darkBgNeedsReplacement = true;
       }
     }
@@ -1097,23 +2720,32 @@
         .filter(c => {
           if (c.luminance > 0.15) return false;
           const bgRgb = { r: c.r, g: c.g, b: c.b };
-          if (darkHeadingRgbForBg && getContrastRatio(darkHeadingRgbForBg, bgRgb) < DARK_BG_MIN_CONTRAST) return false;
-          if (darkTextRgbForBg && getContrastRatio(darkTextRgbForBg, bgRgb) < DARK_BG_MIN_CONTRAST) return false;
-          if (darkMutedRgbForBg && getContrastRatio(darkMutedRgbForBg, bgRgb) < DARK_BG_MUTED_MIN_CONTRAST) return false;
+          if (darkHeadingRgbForBg && measure(darkHeadingRgbForBg, bgRgb) < DARK_BG_MIN_CONTRAST) return false;
+          if (darkTextRgbForBg && measure(darkTextRgbForBg, bgRgb) < DARK_BG_MIN_CONTRAST) return false;
+          if (darkMutedRgbForBg && measure(darkMutedRgbForBg, bgRgb) < DARK_BG_MUTED_MIN_CONTRAST) return false;
           return true;
         })
         .sort((a, b) => a.luminance - b.luminance);
 
+      const replacedTier = 'Replaced: the first pick failed contrast with the text tokens';
       if (validDarkBgCandidates.length > 0) {
         darkTokens.bg = validDarkBgCandidates[0].hex;
+        explain('dark', 'bg', `${replacedTier}; darkest palette color that passes`, {
+          candidates: ranked(validDarkBgCandidates, 'luminance', 'luminance'),
+          rejected: trace.dark.bg?.rejected
+        });
       } else {
+        explain('dark', 'bg', `${replacedTier}; fallback #0b0b0b`, trace.dark.bg);
         // Ultimate fallback: use safe near-black
         darkTokens.bg = '#0b0b0b';
       }
     }
+    settleTextContrast('dark', darkTokens, darkLocks);
 
     // Primary color selection for dark mode
     let darkPrimary = null;
+    let darkPrimaryTier = 'Locked primary';
+    let darkPrimaryDetails = {};
 
     if (lockedPrimary) {
       darkPrimary = analyzed.find(c => c.hex.toLowerCase() === lockedPrimary.toLowerCase());
@@ -1137,17 +2769,14 @@
       const darkSurfaceForPrimary = hexToRgb(darkTokens.surface || '#141414');
       const darkBgForPrimary = hexToRgb(darkTokens.bg || '#0b0b0b');
 
-      const primaryCandidates = analyzed
-        .filter(c => {
-          if (c.saturation < PRIMARY_MIN_SATURATION) return false;
-          if (usedTextColors.includes(c.hex)) return false;
-
-          // Fix 3: Relaxed contrast for dark mode - only check surface, lowered to 2.5:1
-          const contrastVsSurface = getContrastRatio(c, darkSurfaceForPrimary);
-          if (contrastVsSurface < 2.5) return false;
-
-          return true;
-        })
+      const primaryScreen = screen([
+        [`saturation below ${PRIMARY_MIN_SATURATION}`, c => c.saturation >= PRIMARY_MIN_SATURATION],
+        ['already used for text', c => !usedTextColors.includes(c.hex)],
+        // Fix 3: Relaxed contrast for dark mode - only check surface, lowered to 2.5:1
+        [`below ${contrastPolicy.format(contrastPolicy.accent)} on surface`, c =>
+          measure(c, darkSurfaceForPrimary) >= contrastPolicy.accent]
+      ]);
+      const primaryCandidates = primaryScreen.passed
         .map(c => {
           const isVibrant = palette.find(p =>
             rgbToHex(p.r, p.g, p.b).toLowerCase() === c.hex.toLowerCase()
@@ -1159,8 +2788,8 @@
           const luminanceScore = 1 - Math.abs(c.luminance - 0.45);
           const populationScore = Math.log(c.population + 1) / 12;
 
-          const contrastVsSurface = getContrastRatio(c, darkSurfaceForPrimary);
-          const contrastBonus = Math.min(contrastVsSurface / 10, 0.5);
+          const contrastVsSurface = measure(c, darkSurfaceForPrimary);
+          const contrastBonus = Math.min(contrastVsSurface / contrastPolicy.accent / 4, 0.5);
 
           // Fix 3: Stronger penalties for extreme luminance colors in dark mode
           // Penalize very dark colors that won't show on dark bg
@@ -1177,6 +2806,11 @@
         .sort((a, b) => b.primaryScore - a.primaryScore);
 
       darkPrimary = primaryCandidates[0];
+      darkPrimaryTier = 'Highest primary score (saturation, vibrancy, luminance, population, contrast)';
+      darkPrimaryDetails = {
+        candidates: ranked(primaryCandidates, 'primaryScore', 'primary score'),
+        rejected: primaryScreen.rejected
+      };
 
       // Fix 4: Fallback cascade for dark mode
       if (!darkPrimary) {
@@ -1185,8 +2819,8 @@
           .filter(c => {
             if (c.saturation < 0.15) return false;
             if (usedTextColors.includes(c.hex)) return false;
-            const contrastVsSurface = getContrastRatio(c, darkSurfaceForPrimary);
-            if (contrastVsSurface < 2.5) return false;
+            const contrastVsSurface = measure(c, darkSurfaceForPrimary);
+            if (contrastVsSurface < contrastPolicy.accent) return false;
             // Exclude very dark and very light colors for dark mode
             if (c.luminance < 0.2 || c.luminance > 0.8) return false;
             return true;
@@ -1194,6 +2828,7 @@
           .sort((a, b) => b.saturation - a.saturation);
 
         darkPrimary = relaxedSatCandidates[0];
+        darkPrimaryTier = 'Try 1: most saturated color with saturation relaxed to 0.15';
       }
 
       if (!darkPrimary) {
@@ -1202,8 +2837,8 @@
           .filter(c => {
             if (c.saturation < 0.15) return false;
             if (usedTextColors.includes(c.hex)) return false;
-            const contrastVsSurface = getContrastRatio(c, darkSurfaceForPrimary);
-            if (contrastVsSurface < 2.0) return false;
+            const contrastVsSurface = measure(c, darkSurfaceForPrimary);
+            if (contrastVsSurface < contrastPolicy.accentRelaxed) return false;
             // Exclude very dark and very light colors for dark mode
             if (c.luminance < 0.2 || c.luminance > 0.8) return false;
             return true;
@@ -1211,38 +2846,56 @@
           .sort((a, b) => b.saturation - a.saturation);
 
         darkPrimary = relaxedContrastCandidates[0];
+        darkPrimaryTier = `Try 2: most saturated color with contrast relaxed to ${contrastPolicy.format(contrastPolicy.accentRelaxed)}`;
       }
 
       // Try 3: Use light mode primary if it works on dark background
       if (!darkPrimary && lightPrimary) {
         const lpRgb = hexToRgb(lightPrimary.hex);
         if (lpRgb) {
-          const contrastVsSurface = getContrastRatio(lpRgb, darkSurfaceForPrimary);
-          if (contrastVsSurface >= 2.5) {
+          const contrastVsSurface = measure(lpRgb, darkSurfaceForPrimary);
+          if (contrastVsSurface >= contrastPolicy.accent) {
             darkPrimary = lightPrimary;
+            darkPrimaryTier = 'Try 3: the light mode primary, which also stands out on the dark surface';
           }
         }
       }
 
+      // Try 4: Lighten the light mode primary on its own hue
+      if (!darkPrimary && lightTokens.primary) {
+        const lpRgb = hexToRgb(lightTokens.primary);
+        const repaired = repairContrast(lpRgb, [darkSurfaceForPrimary], contrastPolicy.accent, measure);
+        if (repaired.pass) {
+          recordRepair('dark', 'primary', lightTokens.primary, repaired, measure(lpRgb, darkSurfaceForPrimary));
+          darkPrimaryTier = `Try 4: the light mode primary ${lightTokens.primary}, lightened on its own hue`;
+          const rgb = hexToRgb(repaired.hex);
+          darkPrimary = {
+            ...rgb,
+            hex: repaired.hex,
+            luminance: getLuminance(rgb.r, rgb.g, rgb.b),
+            saturation: getSaturation(rgb.r, rgb.g, rgb.b),
+            repaired: true
+          };
+        }
+      }
+
       if (!darkPrimary) {
-        // Final fallback: use default blue
-        darkPrimary = {
-          r: 64, g: 156, b: 255,
-          hex: '#409cff',
-          luminance: getLuminance(64, 156, 255),
-          saturation: getSaturation(64, 156, 255)
-        };
+        // Final fallback: a color in harmony with the image's hue
+        const suggestion = pickHarmonyPrimary(darkTokens, 'dark');
+        darkPrimaryTier = `Final fallback: ${suggestion.label.toLowerCase()} harmony (${suggestion.hue}°), nothing else stands out on the dark surface`;
+        darkPrimary = suggestion.color;
       }
 
-      if (darkPrimary && !darkPrimary.isVibrant && darkPrimary.hex !== '#409cff') {
+      if (darkPrimary && !darkPrimary.isVibrant && !darkPrimary.repaired && !darkPrimary.harmony) {
         const moreVibrant = findMostVibrantVariant(
           { r: hexToRgb(darkPrimary.hex).r, g: hexToRgb(darkPrimary.hex).g, b: hexToRgb(darkPrimary.hex).b },
           palette
         );
         if (moreVibrant && getSaturation(moreVibrant.r, moreVibrant.g, moreVibrant.b) > darkPrimary.saturation * 1.2) {
           const newLuminance = getLuminance(moreVibrant.r, moreVibrant.g, moreVibrant.b);
-          const newContrast = getContrastRatio(moreVibrant, darkSurfaceForPrimary);
-          if (newLuminance > 0.2 && newContrast >= 3) {
+          const newContrast = measure(moreVibrant, darkSurfaceForPrimary);
+          if (newLuminance > 0.2 && newContrast >= contrastPolicy.nonText) {
+            darkPrimaryTier += `; swapped for its more vibrant variant ${rgbToHex(moreVibrant.r, moreVibrant.g, moreVibrant.b)}`;
             darkPrimary = {
               ...moreVibrant,
               hex: rgbToHex(moreVibrant.r, moreVibrant.g, moreVibrant.b),
@@ -1254,58 +2907,516 @@
       }
     }
 
+    // Always set: the cascade above ends in a harmony color
     if (darkPrimary) {
       darkTokens.primary = darkPrimary.hex;
 
-      const contrastWithWhite = getContrastRatio(darkPrimary, { r: 255, g: 255, b: 255 });
-      const contrastWithBlack = getContrastRatio(darkPrimary, { r: 0, g: 0, b: 0 });
+      const contrastWithWhite = measure({ r: 255, g: 255, b: 255 }, darkPrimary);
+      const contrastWithBlack = measure({ r: 0, g: 0, b: 0 }, darkPrimary);
 
-      if (contrastWithWhite >= 4.5) {
+      if (contrastWithWhite >= contrastPolicy.body) {
         darkTokens.onPrimary = '#ffffff';
-      } else if (contrastWithBlack >= 4.5) {
+      } else if (contrastWithBlack >= contrastPolicy.body) {
         darkTokens.onPrimary = '#000000';
+      } else if (!lockedPrimary) {
+        darkTokens.primary = repairFill('dark', 'primary', darkPrimary.hex, hexToRgb(darkTokens.surface));
+        darkTokens.onPrimary = getOnColor(hexToRgb(darkTokens.primary), contrastPolicy);
       } else {
         darkTokens.onPrimary = contrastWithWhite > contrastWithBlack ? '#ffffff' : '#000000';
       }
-    } else {
-      darkTokens.primary = useColor(null, '#409cff');
-      darkTokens.onPrimary = '#000000';
     }
 
-    return { light: lightTokens, dark: darkTokens, warnings };
-  }
+    if (darkLocks.onPrimary) applyOnPrimaryLock(darkTokens, 'dark', darkLocks.onPrimary);
+    explainPrimary('dark', darkTokens, darkPrimaryTier, darkPrimaryDetails, darkPrimary?.hex);
 
-  // ============================================
-  // SAVED PALETTES (localStorage)
-  // ============================================
+    // ============================================
+    // DERIVED THEMES
+    // ============================================
+    // A mode set to 'derived' trades its image picks for the other mode's
+    // tokens remapped in lightness. Light goes first, so when both are
+    // derived, dark follows the derived light theme.
+    const derivation = { light: 'image', dark: 'image', ...options.derivation };
+    const dominantHue = getDominantHue(palette);
+
+    const deriveMode = (mode, tokens, source, locks, lockedBg) => {
+      const sourceMode = mode === 'light' ? 'dark' : 'light';
+      const derived = deriveThemeTokens(source, mode, dominantHue);
+      const tint = dominantHue === null ? '' : ', tinted with the dominant hue';
+
+      Object.entries(derived).forEach(([token, hex]) => {
+        tokens[token] = hex;
+        explain(mode, token, token === 'primary'
+          ? `Derived from the ${sourceMode} primary ${source.primary}: OKLCH lightness brought into the ${mode} mode range, hue and chroma kept`
+          : `Derived from the ${sourceMode} ${token} ${source[token]}: OKLCH lightness remapped${tint}`);
+      });
+      Object.entries(locks).forEach(([token, hex]) => {
+        if (token !== 'onPrimary') tokens[token] = hex;
+      });
+      if (lockedBg) tokens.bg = lockedBg;
+      if (lockedPrimary) tokens.primary = lockedPrimary;
+
+      // The rules image picks follow: text reads on bg and surface, primary stands out
+      const backgrounds = [hexToRgb(tokens.bg), hexToRgb(tokens.surface)];
+      [
+        ['heading', contrastPolicy.heading],
+        ['text', contrastPolicy.body],
+        ['mutedText', contrastPolicy.mutedComfort],
+        ['primary', contrastPolicy.accent]
+      ].forEach(([token, min]) => {
+        if (locks[token] || (token === 'primary' && lockedPrimary)) return;
+        const rgb = hexToRgb(tokens[token]);
+        const before = Math.min(...backgrounds.map(bg => measure(rgb, bg)));
+        if (before >= min) return;
+        const repaired = repairContrast(rgb, backgrounds, min, measure);
+        recordRepair(mode, token, tokens[token], repaired, before);
+        explain(mode, token, `${trace[mode][token].tier}; repaired on its own hue to reach ${contrastPolicy.format(min)}`);
+        tokens[token] = repaired.hex;
+      });
 
-  const STORAGE_KEY = 'idtt_saved_palettes';
-  const MAX_SAVED = 5;
+      const pickedPrimary = tokens.primary;
+      const primaryTier = trace[mode].primary.tier;
+      tokens.onPrimary = getOnColor(hexToRgb(tokens.primary), contrastPolicy);
+      if (!lockedPrimary && measure(hexToRgb(tokens.onPrimary), hexToRgb(tokens.primary)) < contrastPolicy.body) {
+        tokens.primary = repairFill(mode, 'primary', tokens.primary, hexToRgb(tokens.surface));
+        tokens.onPrimary = getOnColor(hexToRgb(tokens.primary), contrastPolicy);
+      }
+      if (locks.onPrimary) applyOnPrimaryLock(tokens, mode, locks.onPrimary);
+      explainPrimary(mode, tokens, primaryTier, {}, pickedPrimary);
+    };
 
-  function getSavedPalettes() {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      return saved ? JSON.parse(saved) : [];
-    } catch (e) {
-      console.error('Error reading saved palettes:', e);
-      return [];
+    if (derivation.light === 'derived') {
+      deriveMode('light', lightTokens, { ...darkTokens }, lightLocks, lockedLightBg);
+    } else if (!lightBgCandidate && !lightSurfaceCandidate) {
+      warnings.push('The image has no light neutrals, so light mode uses stock grays. Set Light Mode to "Derived from dark mode" under Theme Source to build it from the palette instead.');
     }
-  }
-
-  function savePalettes(palettes) {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(palettes));
-    } catch (e) {
-      console.error('Error saving palettes:', e);
+    if (derivation.dark === 'derived') {
+      deriveMode('dark', darkTokens, { ...lightTokens }, darkLocks, lockedDarkBg);
+    } else if (!darkBgCandidate && !darkSurfaceCandidate) {
+      warnings.push('The image has no dark neutrals, so dark mode uses stock grays. Set Dark Mode to "Derived from light mode" under Theme Source to build it from the palette instead.');
     }
-  }
 
-  function generateId() {
-    return 'pal_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-  }
+    // ============================================
+    // SECONDARY AND TERTIARY ACCENTS
+    // ============================================
+    const ACCENT_MIN_SATURATION = 0.20;
+    const ACCENT_MIN_HUE_SEPARATION = 40;
+    const white = { r: 255, g: 255, b: 255 };
+    const black = { r: 0, g: 0, b: 0 };
+    const derivedAccents = new Set();
+    const unreadableAccents = [];
+
+    const pickAccents = (tokens, mode) => {
+      const surfaceRgb = hexToRgb(tokens.surface);
+      const used = [tokens.bg, tokens.surface, tokens.border, tokens.heading, tokens.text, tokens.mutedText, tokens.primary]
+        .filter(Boolean)
+        .map(hex => hex.toLowerCase());
+      const [minLuminance, maxLuminance] = mode === 'light' ? [0.15, 0.85] : [0.2, 0.8];
+      const primaryRgb = hexToRgb(tokens.primary);
+      const takenHues = [rgbToHsl(primaryRgb.r, primaryRgb.g, primaryRgb.b)];
 
-  function savePalette(name, palette, tokens) {
-    const palettes = getSavedPalettes();
+      const candidates = analyzed
+        .filter(c => {
+          if (c.saturation < ACCENT_MIN_SATURATION) return false;
+          if (used.includes(c.hex.toLowerCase())) return false;
+          if (c.luminance < minLuminance || c.luminance > maxLuminance) return false;
+          if (measure(c, surfaceRgb) < contrastPolicy.accent) return false;
+          return Math.max(measure(white, c), measure(black, c)) >= contrastPolicy.body;
+        })
+        .map(c => ({
+          ...c,
+          hsl: rgbToHsl(c.r, c.g, c.b),
+          accentScore: c.saturation * 4 +
+            (c.isVibrant || c.isBrandColor ? 2.5 : 0) +
+            Math.log(c.population + 1) / 12
+        }))
+        .sort((a, b) => b.accentScore - a.accentScore);
+
+      const accents = {};
+      // Triadic offsets from primary when the palette has nothing distinct enough
+      [['secondary', 'onSecondary', 120], ['tertiary', 'onTertiary', 240]].forEach(([key, onKey, hueOffset]) => {
+        const match = candidates.find(c =>
+          !takenHues.some(hsl => isSimilarHue(hsl, c.hsl, ACCENT_MIN_HUE_SEPARATION))
+        );
+
+        let rgb;
+        let derived = null;
+        if (match) {
+          rgb = { r: match.r, g: match.g, b: match.b };
+        } else {
+          const lch = rgbToOklch(primaryRgb.r, primaryRgb.g, primaryRgb.b);
+          const hue = (lch.h + hueOffset) % 360;
+          // Its label has to read and the fill has to stand out on the page, both at once
+          derived = findLabeledFillLightness(
+            lch.L, lch.C, hue, [white, black], contrastPolicy.body,
+            [hexToRgb(tokens.bg), surfaceRgb], contrastPolicy.accent, measure
+          );
+          rgb = derived.rgb;
+          derivedAccents.add(key);
+          if (!derived.pass) unreadableAccents.push(`${mode} ${key}`);
+        }
+
+        accents[key] = rgbToHex(rgb.r, rgb.g, rgb.b);
+        accents[onKey] = derived
+          ? rgbToHex(derived.label.r, derived.label.g, derived.label.b)
+          : getOnColor(rgb, contrastPolicy);
+        takenHues.push(rgbToHsl(rgb.r, rgb.g, rgb.b));
+        const derivedTier = derived && derived.pass
+          ? `lightness set so its label reaches ${contrastPolicy.format(contrastPolicy.body)} and it reaches ${contrastPolicy.format(contrastPolicy.accent)} on bg and surface`
+          : 'no lightness gives both a readable label and a visible fill, so the closest one is used';
+        explain(mode, key, match
+          ? `Highest accent score at least ${ACCENT_MIN_HUE_SEPARATION}° of hue from the accents before it`
+          : `Derived: primary hue + ${hueOffset}°, no palette color was distinct enough; ${derivedTier}`,
+        { candidates: ranked(candidates, 'accentScore', 'accent score') });
+      });
+
+      return accents;
+    };
+
+    Object.assign(lightTokens, pickAccents(lightTokens, 'light'));
+    Object.assign(darkTokens, pickAccents(darkTokens, 'dark'));
+
+    if (derivedAccents.size > 0) {
+      const derivedKeys = ['secondary', 'tertiary'].filter(key => derivedAccents.has(key));
+      warnings.push(`No distinct ${derivedKeys.join(' or ')} color in the palette; derived from the primary hue instead.`);
+    }
+    if (unreadableAccents.length > 0) {
+      warnings.push(`Derived ${unreadableAccents.join(', ')} cannot carry a readable label and still reach ${contrastPolicy.format(contrastPolicy.accent)} on bg and surface; the closest lightness is used.`);
+    }
+
+    Object.assign(lightTokens, generateStatusTokens(palette, lightTokens, 'light', contrastPolicy));
+    Object.assign(darkTokens, generateStatusTokens(palette, darkTokens, 'dark', contrastPolicy));
+
+    Object.assign(lightTokens, generateInteractionTokens(lightTokens, 'light', contrastPolicy));
+    Object.assign(darkTokens, generateInteractionTokens(darkTokens, 'dark', contrastPolicy));
+    const collapsedStates = [['light', lightTokens], ['dark', darkTokens]]
+      .filter(([, tokens]) => getLightnessGap(hexToRgb(tokens.primaryHover), hexToRgb(tokens.primaryActive)) < STATE_MIN_SEPARATION)
+      .map(([mode]) => mode);
+    if (collapsedStates.length > 0) {
+      warnings.push(`Primary hover and active in ${collapsedStates.join(' and ')} mode are too close to tell apart; the primary has no lightness room that keeps onPrimary readable.`);
+    }
+    const elevation = generateElevationTokens(darkTokens, contrastPolicy, darkLocks);
+    Object.entries(elevation.text).forEach(([token, { before, repaired }]) => {
+      recordFollowUpRepair('dark', token, darkTokens[token], repaired, before);
+      explain('dark', token, `${trace.dark[token].tier}; then raised on its own hue to keep ${contrastPolicy.format(repaired.contrast)} on every elevation level`, trace.dark[token]);
+      darkTokens[token] = repaired.hex;
+    });
+    Object.assign(darkTokens, elevation.elevations);
+    if (elevation.indistinct.length > 0) {
+      warnings.push(`Dark elevation levels ${elevation.indistinct.map(pair => pair.join(' and ')).join(', ')} are too close to tell apart; locked or unrepairable text leaves them no room to lighten.`);
+    }
+
+    const scales = generateTonalScales(palette, lightTokens.primary);
+
+    // Tokens built by rule rather than picked from the palette
+    const onColorReason = `White or black, whichever reaches ${contrastPolicy.format(contrastPolicy.body)} on its fill`;
+    const DERIVED_REASONS = {
+      onSecondary: onColorReason,
+      onTertiary: onColorReason,
+      primaryHover: 'Primary shifted in OKLCH lightness away from the page, keeping its label readable',
+      primaryActive: 'Primary shifted further than hover, or the other way when its label leaves no room, keeping its label readable',
+      focusRing: `Primary hue walked in lightness to reach ${contrastPolicy.format(contrastPolicy.nonText)} on bg and surface`,
+      disabledBg: 'Surface nudged in lightness so disabled controls read as inactive',
+      disabledText: `Walked in lightness to reach ${contrastPolicy.format(contrastPolicy.nonText)} on disabledBg`
+    };
+    Object.keys(STATUS_HUES).forEach(status => {
+      const onKey = 'on' + status.charAt(0).toUpperCase() + status.slice(1);
+      DERIVED_REASONS[status] = `Palette hue in the ${status} band (or the standard one), with lightness set to reach ${contrastPolicy.format(contrastPolicy.body)} on bg, surface and the subtle fill`;
+      DERIVED_REASONS[onKey] = onColorReason;
+      DERIVED_REASONS[status + 'Subtle'] = `Faint tint of the ${status} hue for alert backgrounds`;
+    });
+    ELEVATION_STEPS.forEach((step, index) => {
+      const level = index + 1;
+      DERIVED_REASONS['surface' + level] = `surface lightened by ${step.toFixed(2)} OKLCH L and tinted toward the primary hue; text is raised to keep its contrast, and only text that cannot be raised holds the level back`;
+      DERIVED_REASONS['border' + level] = `surface${level} lightened by ${ELEVATION_BORDER_SHIFT.toFixed(2)} OKLCH L`;
+    });
+
+    [['light', lightTokens, lightLocks, lockedLightBg], ['dark', darkTokens, darkLocks, lockedDarkBg]].forEach(([mode, tokens, locks, lockedBg]) => {
+      Object.keys(tokens).forEach(token => {
+        if (!trace[mode][token] && DERIVED_REASONS[token]) explain(mode, token, DERIVED_REASONS[token]);
+      });
+      Object.keys(locks).forEach(token => explain(mode, token, 'Locked by you'));
+      if (lockedBg) explain(mode, 'bg', 'Locked by you');
+      if (lockedPrimary) explain(mode, 'primary', 'Locked by you');
+    });
+
+    // Locks are kept even when they fail; say which pairs miss the target
+    const LOCK_CHECKS = [
+      ['heading', 'bg', 'heading'],
+      ['heading', 'surface', 'heading'],
+      ['text', 'bg', 'body'],
+      ['text', 'surface', 'body'],
+      ['mutedText', 'bg', 'muted'],
+      ['mutedText', 'surface', 'muted'],
+      ['onPrimary', 'primary', 'body']
+    ];
+    [['Light', lightTokens, lightLocks, lockedLightBg], ['Dark', darkTokens, darkLocks, lockedDarkBg]].forEach(([modeLabel, tokens, locks, lockedBg]) => {
+      const isLocked = (token) => Boolean(locks[token]) ||
+        (token === 'bg' && Boolean(lockedBg)) ||
+        (token === 'primary' && Boolean(lockedPrimary));
+
+      LOCK_CHECKS.forEach(([fg, bg, kind]) => {
+        const locked = [fg, bg].filter(isLocked);
+        if (locked.length === 0) return;
+        const value = measure(hexToRgb(tokens[fg]), hexToRgb(tokens[bg]));
+        if (value >= contrastPolicy[kind]) return;
+        warnings.push(`${modeLabel} mode: ${fg} on ${bg} reaches ${contrastPolicy.format(value)} with locked ${locked.join(' and ')}; the target is ${contrastPolicy.format(contrastPolicy[kind])}.`);
+      });
+    });
+
+    [['Light', lightTokens], ['Dark', darkTokens]].forEach(([modeLabel, tokens]) => {
+      const conflicts = findCvdConflicts(tokens);
+      if (conflicts.length === 0) return;
+      const described = conflicts.map(({ pair, types }) =>
+        `${pair.join('/')} (${types.map(type => CVD_SIMULATIONS[type].label.toLowerCase()).join(', ')})`
+      );
+      warnings.push(`${modeLabel} mode: ${described.join('; ')} become hard to tell apart with color vision deficiencies. Pair these colors with labels or icons.`);
+    });
+
+    // Heading and text may have swapped, or been replaced, since their repair
+    const survivingRepairs = repairs.filter(repair => {
+      const tokens = repair.mode === 'light' ? lightTokens : darkTokens;
+      if (tokens[repair.token] === repair.to) return true;
+      const swapped = { heading: 'text', text: 'heading' }[repair.token];
+      if (swapped && tokens[swapped] === repair.to) {
+        repair.token = swapped;
+        return true;
+      }
+      return false;
+    });
+
+    const result = {
+      light: lightTokens,
+      dark: darkTokens,
+      scales,
+      warnings,
+      repairs: survivingRepairs,
+      trace,
+      harmonies: generateHarmonyPrimaries(palette, { light: lightTokens, dark: darkTokens }, 'light', contrastPolicy)
+    };
+
+    // Same palette and locks, held to AAA, for prefers-contrast: more
+    if (options.highContrast !== false) {
+      const highContrastPolicy = createContrastPolicy(contrastPolicy.model, 'AAA');
+      const highContrast = generateTokens(palette, lockedPrimary, lockedLightBg, lockedDarkBg, {
+        ...options,
+        contrastPolicy: highContrastPolicy,
+        highContrast: false
+      });
+
+      ['light', 'dark'].forEach(mode => {
+        const key = mode + 'HighContrast';
+        const lockedBorder = (mode === 'light' ? lightLocks : darkLocks).border;
+        result[key] = {
+          ...highContrast[mode],
+          border: lockedBorder || strengthenBorder(highContrast[mode], mode, highContrastPolicy)
+        };
+        trace[key] = { ...highContrast.trace[mode] };
+        if (!lockedBorder) {
+          trace[key].border = {
+            ...trace[key].border,
+            tier: `Strengthened until it reaches ${highContrastPolicy.format(highContrastPolicy.nonText)} on bg and surface`
+          };
+        }
+        // Each elevation border has to stand out from its own level
+        ELEVATION_STEPS.forEach((step, index) => {
+          const level = index + 1;
+          const surface = result[key]['surface' + level];
+          if (!surface) return;
+          result[key]['border' + level] = strengthenBorder(
+            { bg: surface, surface, border: result[key]['border' + level] }, mode, highContrastPolicy
+          );
+          trace[key]['border' + level] = {
+            ...trace[key]['border' + level],
+            tier: `Strengthened until it reaches ${highContrastPolicy.format(highContrastPolicy.nonText)} on surface${level}`
+          };
+        });
+      });
+      highContrast.repairs.forEach(repair => {
+        result.repairs.push({ ...repair, mode: repair.mode + 'HighContrast' });
+      });
+      // Compare without hex values and per-simulation details, which differ
+      // between the variants even when the warning is the same
+      const warningKey = (warning) => warning
+        .replace(/#[0-9a-f]{3,8}\b/gi, '')
+        .replace(/ \([^)]*\)/g, '');
+      const reported = new Set(warnings.map(warningKey));
+      highContrast.warnings
+        .filter(warning => !reported.has(warningKey(warning)))
+        .forEach(warning => result.warnings.push(`High contrast: ${warning}`));
+    }
+
+    return result;
+  }
+
+  // ============================================
+  // THEME PROPOSALS
+  // ============================================
+
+  const MAX_PROPOSALS = 6;
+  const PROPOSAL_WEIGHTS = { margin: 0.5, fidelity: 0.3, diversity: 0.2 };
+  const PROPOSAL_FIDELITY_RANGE = 20;  // OKLab ΔE (×100) at which a color no longer reads as the image's
+
+  /**
+   * Build alternative themes from one palette by varying the primary, the
+   * backgrounds and the dark-mode derivation, then rank them. The score
+   * weighs contrast margin over the mode targets, how close primary and bg
+   * stay to the image's own colors, and how far each primary's hue sits
+   * from the proposals ranked above it.
+   * @param {Array} palette - Extracted colors
+   * @param {Object} settings - Current { lockedPrimary, lockedLightBg, lockedDarkBg, derivation, tokenLocks, contrastPolicy }
+   * @param {Object} current - generateTokens result for these settings, if already built
+   * @returns {Array} Up to MAX_PROPOSALS, best first: { label, settings, light, dark, score, scores, current }
+   */
+  function generateThemeProposals(palette, settings, current = null) {
+    const contrastPolicy = settings.contrastPolicy || createContrastPolicy();
+    const derivation = { light: 'image', dark: 'image', ...settings.derivation };
+    const build = (variant) => {
+      const merged = { ...settings, derivation, ...variant };
+      return generateTokens(palette, merged.lockedPrimary, merged.lockedLightBg, merged.lockedDarkBg, {
+        contrastPolicy,
+        tokenLocks: merged.tokenLocks,
+        derivation: merged.derivation,
+        highContrast: false
+      });
+    };
+
+    const base = current || build({});
+    // Primary candidates come from an unlocked run, so a locked primary still has alternatives
+    const open = settings.lockedPrimary ? build({ lockedPrimary: null }) : base;
+    const primaryHue = (hex) => {
+      const rgb = hexToRgb(hex);
+      return rgbToOklch(rgb.r, rgb.g, rgb.b).h;
+    };
+    const hueGap = (a, b) => {
+      const diff = Math.abs(a - b) % 360;
+      return diff > 180 ? 360 - diff : diff;
+    };
+
+    const primaries = [];
+    [
+      ...(open.trace.light.primary?.candidates || []).map(c => ({ hex: c.hex, label: `Palette primary ${c.hex}` })),
+      ...open.harmonies
+        .filter(s => Object.values(s.surfaces).every(surface => surface.pass))
+        .map(s => ({ hex: s.hex, label: `${s.label} primary` }))
+    ].forEach(candidate => {
+      const hue = primaryHue(candidate.hex);
+      if (hueGap(hue, primaryHue(base.light.primary)) < 30) return;
+      if (primaries.some(p => hueGap(p.hue, hue) < 30)) return;
+      primaries.push({ ...candidate, hue });
+    });
+
+    const analyzed = palette.map(c => ({
+      ...c,
+      hex: rgbToHex(c.r, c.g, c.b),
+      luminance: getLuminance(c.r, c.g, c.b),
+      saturation: getSaturation(c.r, c.g, c.b)
+    }));
+    const lightBg = filterLightBgCandidates(analyzed, base.light, contrastPolicy)
+      .find(c => c.hex.toLowerCase() !== base.light.bg.toLowerCase());
+    const darkBg = filterDarkBgCandidates(analyzed, base.dark, contrastPolicy)
+      .find(c => c.hex.toLowerCase() !== base.dark.bg.toLowerCase());
+
+    const variants = [
+      { label: 'Current', variant: {}, result: base, current: true },
+      ...primaries.slice(0, 3).map(p => ({ label: p.label, variant: { lockedPrimary: p.hex } }))
+    ];
+    if (lightBg || darkBg) {
+      variants.push({
+        label: 'Alternative backgrounds',
+        variant: {
+          lockedLightBg: lightBg ? lightBg.hex : settings.lockedLightBg,
+          lockedDarkBg: darkBg ? darkBg.hex : settings.lockedDarkBg
+        }
+      });
+    }
+    const flipped = derivation.dark === 'derived' ? 'image' : 'derived';
+    variants.push({
+      label: flipped === 'derived' ? 'Dark mode derived from light' : 'Dark mode from image',
+      variant: { derivation: { ...derivation, dark: flipped } }
+    });
+
+    // Variants that land on the same colors are one proposal
+    const seen = new Set();
+    const paletteRgb = analyzed.map(c => ({ r: c.r, g: c.g, b: c.b }));
+    const fidelityOf = (hex) => {
+      const rgb = hexToRgb(hex);
+      const nearest = Math.min(...paletteRgb.map(c => perceptualDistance(rgb, c)));
+      return 1 - Math.min(nearest, PROPOSAL_FIDELITY_RANGE) / PROPOSAL_FIDELITY_RANGE;
+    };
+
+    const candidates = variants.map(v => {
+      const result = v.result || build(v.variant);
+      const signature = ['bg', 'surface', 'primary', 'text']
+        .map(token => result.light[token] + result.dark[token]).join('|');
+      if (seen.has(signature)) return null;
+      seen.add(signature);
+
+      const checks = [...getContrastChecks(result.light, contrastPolicy), ...getContrastChecks(result.dark, contrastPolicy)];
+      const margin = checks.reduce((sum, check) =>
+        sum + Math.max(-1, Math.min(1, (check.value - check.required) / check.required)), 0) / checks.length;
+      const fidelity = [result.light.primary, result.light.bg, result.dark.primary, result.dark.bg]
+        .reduce((sum, hex) => sum + fidelityOf(hex), 0) / 4;
+
+      return {
+        label: v.label,
+        settings: { ...settings, derivation, ...v.variant },
+        light: result.light,
+        dark: result.dark,
+        current: Boolean(v.current),
+        hue: primaryHue(result.light.primary),
+        scores: { margin, fidelity, diversity: 1 }
+      };
+    }).filter(Boolean);
+
+    // Greedy ranking: each pick is scored against the hues already ranked
+    const ranked = [];
+    while (ranked.length < MAX_PROPOSALS && candidates.length > 0) {
+      candidates.forEach(c => {
+        c.scores.diversity = ranked.length === 0
+          ? 1
+          : Math.min(...ranked.map(r => hueGap(r.hue, c.hue))) / 180;
+        c.score = PROPOSAL_WEIGHTS.margin * c.scores.margin +
+          PROPOSAL_WEIGHTS.fidelity * c.scores.fidelity +
+          PROPOSAL_WEIGHTS.diversity * c.scores.diversity;
+      });
+      candidates.sort((a, b) => b.score - a.score);
+      ranked.push(candidates.shift());
+    }
+
+    return ranked;
+  }
+
+  // ============================================
+  // SAVED PALETTES (localStorage)
+  // ============================================
+
+  const STORAGE_KEY = 'idtt_saved_palettes';
+  const MAX_SAVED = 5;
+
+  function getSavedPalettes() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (e) {
+      console.error('Error reading saved palettes:', e);
+      return [];
+    }
+  }
+
+  function savePalettes(palettes) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(palettes));
+    } catch (e) {
+      console.error('Error saving palettes:', e);
+    }
+  }
+
+  function generateId(prefix = 'pal') {
+    return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  function savePalette(name, palette, tokens) {
+    const palettes = getSavedPalettes();
 
     const newPalette = {
       id: generateId(),
@@ -1316,7 +3427,9 @@
         g: c.g,
         b: c.b,
         population: c.population,
-        isVibrant: c.isVibrant || false
+        isVibrant: c.isVibrant || false,
+        isBrandColor: c.isBrandColor || false,
+        ...(c.name ? { name: c.name } : {})
       })),
       tokens: tokens
     };
@@ -1345,6 +3458,21 @@
   // EXPORT FUNCTIONS
   // ============================================
 
+  // System colors each token falls back to under forced colors (Windows
+  // High Contrast), where the user's palette replaces the theme
+  const FORCED_COLOR_ROLES = {
+    Canvas: ['bg', 'surface', 'disabledBg', 'successSubtle', 'warningSubtle', 'dangerSubtle', 'infoSubtle',
+      'onSuccess', 'onWarning', 'onDanger', 'onInfo'],
+    CanvasText: ['border', 'text', 'heading', 'mutedText', 'success', 'warning', 'danger', 'info'],
+    Highlight: ['primary', 'primaryHover', 'primaryActive', 'focusRing', 'secondary', 'tertiary'],
+    HighlightText: ['onPrimary', 'onSecondary', 'onTertiary'],
+    GrayText: ['disabledText']
+  };
+  ELEVATION_STEPS.forEach((step, index) => {
+    FORCED_COLOR_ROLES.Canvas.push('surface' + (index + 1));
+    FORCED_COLOR_ROLES.CanvasText.push('border' + (index + 1));
+  });
+
   function generateCSSVariables(tokens) {
     const tokenMap = {
       bg: 'bg',
@@ -1354,8 +3482,34 @@
       heading: 'heading',
       mutedText: 'muted-text',
       primary: 'primary',
-      onPrimary: 'on-primary'
+      onPrimary: 'on-primary',
+      primaryHover: 'primary-hover',
+      primaryActive: 'primary-active',
+      focusRing: 'focus-ring',
+      disabledBg: 'disabled-bg',
+      disabledText: 'disabled-text',
+      secondary: 'secondary',
+      onSecondary: 'on-secondary',
+      tertiary: 'tertiary',
+      onTertiary: 'on-tertiary',
+      success: 'success',
+      onSuccess: 'on-success',
+      successSubtle: 'success-subtle',
+      warning: 'warning',
+      onWarning: 'on-warning',
+      warningSubtle: 'warning-subtle',
+      danger: 'danger',
+      onDanger: 'on-danger',
+      dangerSubtle: 'danger-subtle',
+      info: 'info',
+      onInfo: 'on-info',
+      infoSubtle: 'info-subtle'
     };
+    // Elevation levels exist in dark themes only
+    ELEVATION_STEPS.forEach((step, index) => {
+      tokenMap['surface' + (index + 1)] = `surface-${index + 1}`;
+      tokenMap['border' + (index + 1)] = `border-${index + 1}`;
+    });
 
     let css = ':root {\n';
     Object.entries(tokens.light).forEach(([key, value]) => {
@@ -1363,14 +3517,46 @@
         css += `  --idtt-${tokenMap[key]}: ${value};\n`;
       }
     });
+
+    // Ramps are shared by both modes, so they only live in :root
+    if (tokens.scales) {
+      Object.entries(tokens.scales).forEach(([name, scale]) => {
+        css += '\n';
+        scale.forEach(s => {
+          css += `  --idtt-${name}-${s.step}: ${s.hex}; /* ${s.contrastWhite.toFixed(2)}:1 on white, ${s.contrastBlack.toFixed(2)}:1 on black */\n`;
+        });
+      });
+    }
     css += '}\n\n';
 
-    css += '[data-theme="dark"] {\n';
-    Object.entries(tokens.dark).forEach(([key, value]) => {
-      if (value && tokenMap[key]) {
-        css += `  --idtt-${tokenMap[key]}: ${value};\n`;
-      }
+    const block = (selector, themeTokens, indent = '') => {
+      let out = `${indent}${selector} {\n`;
+      Object.entries(themeTokens).forEach(([key, value]) => {
+        if (value && tokenMap[key]) {
+          out += `${indent}  --idtt-${tokenMap[key]}: ${value};\n`;
+        }
+      });
+      return out + `${indent}}`;
+    };
+
+    css += block('[data-theme="dark"]', tokens.dark);
+
+    if (tokens.lightHighContrast && tokens.darkHighContrast) {
+      css += '\n\n@media (prefers-contrast: more) {\n';
+      css += block(':root', tokens.lightHighContrast, '  ') + '\n\n';
+      css += block('[data-theme="dark"]', tokens.darkHighContrast, '  ') + '\n';
+      css += '}\n\n';
+      css += block('[data-theme="light-high-contrast"]', tokens.lightHighContrast) + '\n\n';
+      css += block('[data-theme="dark-high-contrast"]', tokens.darkHighContrast);
+    }
+
+    // One block for every theme: forced colors ignore the theme's own palette
+    const forcedColors = {};
+    Object.entries(FORCED_COLOR_ROLES).forEach(([systemColor, keys]) => {
+      keys.forEach(key => { forcedColors[key] = systemColor; });
     });
+    css += '\n\n@media (forced-colors: active) {\n';
+    css += block(':root,\n  [data-theme]', forcedColors, '  ') + '\n';
     css += '}';
 
     return css;
@@ -1381,11 +3567,31 @@
   // ============================================
 
   let extractedPalette = [];
-  let originalPixels = [];
+  const MAX_IMAGES = 6;
+
+  let sourceImages = [];      // Mood board: { id, name, src, imageData | svgColors, weight, regions }
+  let activeImageId = null;   // Image shown in the thumbnail and edited by selections
+  let extractionAlgorithm = 'median-cut';
+  let inputMode = 'image';      // 'image' | 'colors' (typed list)
+  let contrastModel = 'wcag';   // 'wcag' | 'apca'
+  let conformanceLevel = 'AA';  // One of CONTRAST_LEVELS
+  let cvdSimulation = 'none';   // 'none' or a CVD_SIMULATIONS key, for the previews only
+  let themeDerivation = { light: 'image', dark: 'image' };  // Per mode: 'image' | 'derived'
+  let thumbnailTool = null;   // 'rect' | 'lasso' | 'eyedropper' | null
+  let selectionMode = 'include';
+  let pickedColor = null;         // Last eyedropper sample { r, g, b }
+  let replacingWithPicked = false; // Next swatch click replaces it with pickedColor
   let lockedPrimaryHex = null;
   let lockedLightBgHex = null;
   let lockedDarkBgHex = null;
+  let lockedTokens = { light: {}, dark: {} };  // Other LOCKABLE_TOKENS, per mode
+
+  // Tokens the user can pin per mode from the token tables or palette swatches
+  const LOCKABLE_TOKENS = ['bg', 'surface', 'border', 'text', 'heading', 'mutedText', 'primary', 'onPrimary'];
   let currentTokens = null;
+  let tokenWarnings = [];   // Warnings from the last generateTokens run
+  let notices = { extraction: [], files: [] };  // Input problems by source, shown with the warnings
+  let proposalCache = { key: null, proposals: [] };  // Proposals and the inputs they were built from
 
   /**
    * Render palette swatches
@@ -1393,33 +3599,66 @@
   function renderPalette() {
     const grid = document.getElementById('idtt-palette-grid');
 
-    if (extractedPalette.length === 0) {
-      grid.innerHTML = '<div class="idtt-palette-empty">Upload an image to extract colors</div>';
-      return;
-    }
+    // Adding a color by hand works with or without an image
+    const addControl = `
+      <label class="idtt-palette-add" title="Add a color">
+        +
+        <input type="color" value="#888888" aria-label="Add a color">
+      </label>
+    `;
 
-    grid.innerHTML = extractedPalette.map((color, index) => {
+    grid.classList.toggle('replacing', replacingWithPicked);
+    const swatches = extractedPalette.map((color, index) => {
       const hex = rgbToHex(color.r, color.g, color.b);
       const isLocked = lockedPrimaryHex && lockedPrimaryHex.toLowerCase() === hex.toLowerCase();
       // Calculate luminance to determine check icon contrast
       const luminance = getLuminance(color.r, color.g, color.b);
       const contrastClass = luminance > 0.5 ? 'light-bg' : 'dark-bg';
 
+      // Which mood board images this color came from (numbered as in the strip)
+      const sources = sourceImages.length > 1 ? (color.sources || [])
+        .map(s => ({ ...s, index: sourceImages.findIndex(image => image.id === s.id) }))
+        .filter(s => s.index !== -1) : [];
+      const sourcesTitle = sources.length > 0
+        ? '\nFrom: ' + sources.map(s => `${sourceImages[s.index].name} (${Math.round(s.share * 100)}%)`).join(', ')
+        : '';
+      const sourcesHtml = sources.length > 0
+        ? `<span class="idtt-swatch-sources">${sources.map(s => s.index + 1).join(' ')}</span>`
+        : '';
+
       return `
         <div class="idtt-palette-swatch ${isLocked ? 'locked' : ''} ${contrastClass}"
              data-hex="${hex}"
              data-index="${index}"
+             draggable="true"
              style="background-color: ${hex}"
-             title="Click to lock as primary">
+             title="${escapeHtml((color.name ? color.name + '\n' : '') + (replacingWithPicked ? 'Click to replace with the picked color' : 'Click to lock as primary, drag to reorder') + sourcesTitle)}">
+          <label class="idtt-swatch-action idtt-swatch-edit" title="Edit color">
+            &#9998;
+            <input type="color" value="${hex}" aria-label="Edit ${hex}">
+          </label>
+          <button type="button" class="idtt-swatch-action idtt-swatch-delete" title="Remove color" aria-label="Remove ${hex}">&times;</button>
+          ${sourcesHtml}
         </div>
       `;
     }).join('');
 
+    grid.innerHTML = (extractedPalette.length === 0
+      ? '<div class="idtt-palette-empty">Upload an image to extract colors, or add them with +</div>'
+      : swatches) + addControl;
+
     // Add click handlers for locking primary (always active - click to lock, click again to unlock)
     grid.querySelectorAll('.idtt-palette-swatch').forEach(swatch => {
       swatch.addEventListener('click', () => {
         const hex = swatch.dataset.hex;
 
+        if (replacingWithPicked && pickedColor) {
+          replacingWithPicked = false;
+          replacePaletteColor(parseInt(swatch.dataset.index, 10), pickedColor);
+          renderPickedColor();
+          return;
+        }
+
         if (lockedPrimaryHex === hex) {
           lockedPrimaryHex = null;  // Unlock if clicking same color
         } else {
@@ -1429,6 +3668,48 @@
         renderPalette();
         computeAndRender();
       });
+
+      // Editing controls sit on the swatch; keep their clicks from locking it
+      swatch.querySelector('.idtt-swatch-edit').addEventListener('click', (e) => e.stopPropagation());
+      swatch.querySelector('.idtt-swatch-edit input').addEventListener('change', (e) => {
+        replacePaletteColor(parseInt(swatch.dataset.index, 10), hexToRgb(e.target.value));
+      });
+
+      swatch.querySelector('.idtt-swatch-delete').addEventListener('click', (e) => {
+        e.stopPropagation();
+        removePaletteColor(parseInt(swatch.dataset.index, 10));
+      });
+
+      swatch.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', swatch.dataset.index);
+        swatch.classList.add('dragging');
+      });
+
+      swatch.addEventListener('dragend', () => {
+        swatch.classList.remove('dragging');
+      });
+
+      swatch.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        swatch.classList.add('drop-target');
+      });
+
+      swatch.addEventListener('dragleave', () => {
+        swatch.classList.remove('drop-target');
+      });
+
+      swatch.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const fromIndex = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (!isNaN(fromIndex)) {
+          movePaletteColor(fromIndex, parseInt(swatch.dataset.index, 10));
+        }
+      });
+    });
+
+    grid.querySelector('.idtt-palette-add input').addEventListener('change', (e) => {
+      addPaletteColor(hexToRgb(e.target.value));
     });
   }
 
@@ -1497,10 +3778,14 @@
    * Load a saved palette
    */
   function loadPalette(saved) {
-    extractedPalette = saved.palette;
+    // Palettes saved before flags were stored get them recomputed
+    extractedPalette = saved.palette.map(c => (
+      c.isBrandColor === undefined ? { ...c, ...getColorFlags(c.r, c.g, c.b) } : { ...c }
+    ));
     lockedPrimaryHex = null;
     lockedLightBgHex = null;
     lockedDarkBgHex = null;
+    lockedTokens = { light: {}, dark: {} };
 
     document.getElementById('idtt-save-palette-btn').disabled = false;
 
@@ -1508,6 +3793,44 @@
     computeAndRender();
   }
 
+  /**
+   * Whether a mode's token table offers a lock for the token
+   * Primary has one lock for both modes, set from the palette or the light table.
+   */
+  function isLockableToken(mode, token) {
+    return LOCKABLE_TOKENS.includes(token) && !(mode === 'dark' && token === 'primary');
+  }
+
+  /**
+   * The color a token is pinned to in a mode, or null
+   * Primary and bg keep their own lock variables; the rest live in lockedTokens.
+   * The primary lock is shared, so it is only reported for light mode.
+   */
+  function getTokenLock(mode, token) {
+    if (token === 'primary') return mode === 'light' ? lockedPrimaryHex : null;
+    if (token === 'bg') return mode === 'light' ? lockedLightBgHex : lockedDarkBgHex;
+    return lockedTokens[mode][token] || null;
+  }
+
+  /**
+   * Pin a token to a color (null unlocks it) and regenerate
+   */
+  function setTokenLock(mode, token, hex) {
+    if (!isLockableToken(mode, token)) return;
+    if (token === 'primary') {
+      lockedPrimaryHex = hex;
+      renderPalette();
+    } else if (token === 'bg') {
+      if (mode === 'light') lockedLightBgHex = hex;
+      else lockedDarkBgHex = hex;
+    } else if (hex) {
+      lockedTokens[mode][token] = hex;
+    } else {
+      delete lockedTokens[mode][token];
+    }
+    computeAndRender();
+  }
+
   /**
    * Escape HTML for safe display
    */
@@ -1519,107 +3842,171 @@
 
   /**
    * Calculate contrast checks for a token set
-   * Checks text contrast against both bg and surface since preview displays on both
+   * Checks text contrast against both bg and surface since preview displays on both.
+   * Every check carries both the WCAG ratio and the APCA Lc; pass/warn follow
+   * the active policy, and `level` is the highest conformance level reached.
    */
-  function getContrastChecks(tokens) {
+  function getContrastChecks(tokens, contrastPolicy = createContrastPolicy()) {
     const surface = hexToRgb(tokens.surface);
     const bg = hexToRgb(tokens.bg);
     const checks = [];
+    const ladder = CONTRAST_LEVELS.map(level => createContrastPolicy(contrastPolicy.model, level));
+
+    // fg is the text or foreground part, so APCA polarity comes out right.
+    // kind names the threshold (body, heading, muted, nonText); warnKind flags
+    // values that clear it but stay under a stricter one.
+    const addCheck = (label, fgHex, bgRgb, kind, warnKind = null) => {
+      if (!fgHex || !bgRgb) return;
+      const fg = hexToRgb(fgHex);
+      const value = contrastPolicy.measure(fg, bgRgb);
+      const required = contrastPolicy[kind];
+      const reached = ladder.filter(policy => value >= policy[kind]).pop();
 
-    // Text vs Background checks (main preview area)
-    if (tokens.heading && bg) {
-      const headingRgb = hexToRgb(tokens.heading);
-      const ratio = getContrastRatio(headingRgb, bg);
-      checks.push({
-        label: 'heading/bg',
-        ratio: ratio,
-        required: 4.5,
-        pass: ratio >= 4.5
-      });
-    }
-
-    if (tokens.text && bg) {
-      const textRgb = hexToRgb(tokens.text);
-      const ratio = getContrastRatio(textRgb, bg);
       checks.push({
-        label: 'text/bg',
-        ratio: ratio,
-        required: 4.5,
-        pass: ratio >= 4.5
+        label: label,
+        ratio: getContrastRatio(fg, bgRgb),
+        lc: getApcaContrast(fg, bgRgb),
+        value: value,
+        required: required,
+        level: reached ? reached.level : null,
+        pass: value >= required,
+        warn: warnKind !== null && value >= required && value < contrastPolicy[warnKind]
       });
-    }
+    };
 
-    if (tokens.mutedText && bg) {
-      const mutedRgb = hexToRgb(tokens.mutedText);
-      const ratio = getContrastRatio(mutedRgb, bg);
-      checks.push({
-        label: 'mutedText/bg',
-        ratio: ratio,
-        required: 3.0,
-        pass: ratio >= 3.0,
-        warn: ratio >= 3.0 && ratio < 4.5
-      });
-    }
+    // Text vs Background checks (main preview area)
+    addCheck('heading/bg', tokens.heading, bg, 'heading');
+    addCheck('text/bg', tokens.text, bg, 'body');
+    addCheck('mutedText/bg', tokens.mutedText, bg, 'muted', 'body');
 
     // Text vs Surface checks (feature card area)
-    if (tokens.heading && surface) {
-      const headingRgb = hexToRgb(tokens.heading);
-      const ratio = getContrastRatio(headingRgb, surface);
-      checks.push({
-        label: 'heading/surface',
-        ratio: ratio,
-        required: 4.5,
-        pass: ratio >= 4.5
-      });
-    }
+    addCheck('heading/surface', tokens.heading, surface, 'heading');
+    addCheck('text/surface', tokens.text, surface, 'body');
+    ELEVATION_STEPS.forEach((step, index) => {
+      const key = 'surface' + (index + 1);
+      if (tokens[key]) addCheck(`text/${key}`, tokens.text, hexToRgb(tokens[key]), 'body');
+    });
 
-    if (tokens.text && surface) {
-      const textRgb = hexToRgb(tokens.text);
-      const ratio = getContrastRatio(textRgb, surface);
-      checks.push({
-        label: 'text/surface',
-        ratio: ratio,
-        required: 4.5,
-        pass: ratio >= 4.5
-      });
-    }
+    // Primary button contrast, then secondary and tertiary by the same rule
+    [['primary', 'onPrimary'], ['secondary', 'onSecondary'], ['tertiary', 'onTertiary']].forEach(([key, onKey]) => {
+      if (!tokens[key]) return;
+      addCheck(`${onKey}/${key}`, tokens[onKey], hexToRgb(tokens[key]), 'body');
+    });
 
-    // Primary button contrast
-    if (tokens.primary && tokens.onPrimary) {
-      const primaryRgb = hexToRgb(tokens.primary);
-      const onPrimaryRgb = hexToRgb(tokens.onPrimary);
-      const ratio = getContrastRatio(primaryRgb, onPrimaryRgb);
-      checks.push({
-        label: 'onPrimary/primary',
-        ratio: ratio,
-        required: 4.5,
-        pass: ratio >= 4.5
-      });
+    // Interaction states: labels stay readable while pressed, rings stay visible
+    ['primaryHover', 'primaryActive'].forEach(state => {
+      if (!tokens[state]) return;
+      addCheck(`onPrimary/${state}`, tokens.onPrimary, hexToRgb(tokens[state]), 'body');
+    });
+
+    addCheck('focusRing/bg', tokens.focusRing, bg, 'nonText');
+
+    // Disabled text is exempt from WCAG minimums; non-text contrast keeps it legible
+    if (tokens.disabledBg) {
+      addCheck('disabledText/disabledBg', tokens.disabledText, hexToRgb(tokens.disabledBg), 'nonText');
     }
 
+    // Status colors are used as text on the page and on their own fills
+    ['success', 'warning', 'danger', 'info'].forEach(status => {
+      if (!tokens[status]) return;
+      const onKey = 'on' + status.charAt(0).toUpperCase() + status.slice(1);
+      addCheck(`${status}/bg`, tokens[status], bg, 'body');
+      addCheck(`${status}/surface`, tokens[status], surface, 'body');
+      addCheck(`${onKey}/${status}`, tokens[onKey], hexToRgb(tokens[status]), 'body');
+    });
+
     return checks;
   }
 
+  /**
+   * Badge for a check: PASS at the target level, the level actually reached
+   * when it falls short (or only just clears a lenient muted minimum), else FAIL
+   */
+  function getBadgeText(check) {
+    if (check.pass && !check.warn) return 'PASS';
+    return check.level || 'FAIL';
+  }
+
+  function getBadgeClass(check) {
+    if (check.pass && !check.warn) return 'pass';
+    return check.level ? 'warn' : 'fail';
+  }
+
   /**
    * Render contrast checks UI
    */
-  function renderContrastChecks(checks) {
+  function renderContrastChecks(checks, contrastPolicy = createContrastPolicy()) {
+    const isApca = contrastPolicy.model === 'apca';
+
     return checks.map(check => `
       <div class="idtt-contrast-row">
         <span class="idtt-contrast-label">${check.label}</span>
-        <span class="idtt-contrast-value">${check.ratio.toFixed(2)}:1</span>
-        <span class="idtt-contrast-badge ${check.pass ? (check.warn ? 'warn' : 'pass') : 'fail'}">
-          ${check.pass ? (check.warn ? 'AA' : 'PASS') : 'FAIL'}
+        <span class="idtt-contrast-values">
+          <span class="idtt-contrast-value ${isApca ? 'secondary' : ''}" title="WCAG 2.x ratio">${check.ratio.toFixed(2)}:1</span>
+          <span class="idtt-contrast-value ${isApca ? '' : 'secondary'}" title="APCA lightness contrast">Lc ${check.lc.toFixed(0)}</span>
+        </span>
+        <span class="idtt-contrast-badge ${getBadgeClass(check)}" title="Target: ${contrastPolicy.level} (${contrastPolicy.format(check.required)})">
+          ${getBadgeText(check)}
         </span>
       </div>
     `).join('');
   }
 
+  /**
+   * Render the "Why this color?" details for one token
+   */
+  function renderTokenWhy(entry) {
+    const candidates = entry.candidates.slice(0, 5);
+    const rejected = entry.rejected.slice(0, 6);
+    const moreRejected = entry.rejected.length - rejected.length;
+
+    return `
+      <div class="idtt-token-why">
+        <div class="idtt-token-why-title">Why this color?</div>
+        <p class="idtt-token-why-tier">${escapeHtml(entry.tier)}</p>
+        ${candidates.length > 0 ? `
+          <div class="idtt-token-why-label">Top candidates</div>
+          <ul class="idtt-token-why-list">
+            ${candidates.map(c => `
+              <li>
+                <span class="idtt-token-why-swatch" style="background-color: ${c.hex}"></span>
+                <code>${c.hex}</code>
+                <span class="idtt-token-why-score">${escapeHtml(c.scoreLabel)} ${c.score.toFixed(2)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        ${rejected.length > 0 ? `
+          <div class="idtt-token-why-label">Rejected</div>
+          <ul class="idtt-token-why-list">
+            ${rejected.map(r => `
+              <li>
+                <span class="idtt-token-why-swatch" style="background-color: ${r.hex}"></span>
+                <code>${r.hex}</code>
+                <span class="idtt-token-why-reason">${escapeHtml(r.reason)}</span>
+              </li>
+            `).join('')}
+            ${moreRejected > 0 ? `<li class="idtt-token-why-more">+${moreRejected} more</li>` : ''}
+          </ul>
+        ` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Render token table
    */
-  function renderTokenTable(tokens, mode) {
-    const tokenOrder = ['bg', 'surface', 'border', 'text', 'heading', 'mutedText', 'primary', 'onPrimary'];
+  function renderTokenTable(tokens, mode, trace = {}) {
+    const canLock = mode === 'light' || mode === 'dark';
+    const tokenOrder = [
+      'bg', 'surface', 'border', 'text', 'heading', 'mutedText',
+      'primary', 'onPrimary', 'primaryHover', 'primaryActive', 'focusRing', 'disabledBg', 'disabledText',
+      'secondary', 'onSecondary', 'tertiary', 'onTertiary',
+      'success', 'onSuccess', 'successSubtle', 'warning', 'onWarning', 'warningSubtle',
+      'danger', 'onDanger', 'dangerSubtle', 'info', 'onInfo', 'infoSubtle',
+      ...ELEVATION_STEPS.flatMap((step, index) => ['surface' + (index + 1), 'border' + (index + 1)])
+        .filter(token => tokens[token])
+    ];
 
     return `
       <table class="idtt-token-table">
@@ -1634,17 +4021,38 @@
         <tbody>
           ${tokenOrder.map(token => {
             const hex = tokens[token] || '—';
+            const lockable = canLock && isLockableToken(mode, token) && tokens[token];
+            const locked = lockable && Boolean(getTokenLock(mode, token));
+            const swatch = lockable
+              ? `<label class="idtt-token-swatch editable" style="background-color: ${hex}" title="Pick a color to lock ${token}, or drop a palette swatch on this row">
+                  <input type="color" class="idtt-token-pick" value="${hex}" data-token="${token}" data-mode="${mode}" aria-label="Lock ${token} to a color">
+                </label>`
+              : `<div class="idtt-token-swatch" style="background-color: ${hex}"></div>`;
+            const why = trace[token];
             return `
-              <tr>
+              <tr class="${lockable ? 'idtt-token-lockable' : ''}" data-token="${token}" data-mode="${mode}">
                 <td><strong>${token}</strong></td>
-                <td><div class="idtt-token-swatch" style="background-color: ${hex}"></div></td>
+                <td>${swatch}</td>
                 <td class="idtt-token-hex">${hex}</td>
                 <td>
+                  ${lockable ? `
+                    <button type="button" class="idtt-token-lock ${locked ? 'locked' : ''}" data-token="${token}" data-mode="${mode}" aria-pressed="${locked}">
+                      ${locked ? 'Unlock' : 'Lock'}
+                    </button>
+                  ` : ''}
+                  ${why ? `
+                    <button type="button" class="idtt-token-why-toggle" aria-expanded="false">Why?</button>
+                  ` : ''}
                   <button class="idtt-copy-btn" data-hex="${hex}" data-token="${token}" data-mode="${mode}">
                     Copy
                   </button>
                 </td>
               </tr>
+              ${why ? `
+                <tr class="idtt-token-why-row" hidden>
+                  <td colspan="4">${renderTokenWhy(why)}</td>
+                </tr>
+              ` : ''}
             `;
           }).join('')}
         </tbody>
@@ -1653,195 +4061,1832 @@
   }
 
   /**
-   * Render preview section
+   * Render the primary and neutral ramps with per-step contrast
    */
-  function renderPreview(tokens, mode, bgCandidates = [], lockedBgHex = null) {
-    const checks = getContrastChecks(tokens);
-    const modeLabel = mode === 'light' ? 'Light Mode' : 'Dark Mode';
-    const modeIcon = mode === 'light'
-      ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/></svg>'
-      : '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>';
+  function renderTonalScales(scales) {
+    if (!scales) return '';
 
-    // Render background swatches if candidates available
-    const bgSwatchesHtml = bgCandidates.length > 0 ? `
-      <div class="idtt-bg-selector" data-mode="${mode}">
-        <div class="idtt-bg-selector-label">Background Options:</div>
-        <div class="idtt-bg-swatches">
-          ${bgCandidates.slice(0, 6).map(c => {
-            const isLocked = lockedBgHex && lockedBgHex.toLowerCase() === c.hex.toLowerCase();
-            const contrastClass = c.luminance > 0.5 ? 'light-bg' : 'dark-bg';
-            return `
-              <div class="idtt-bg-swatch ${isLocked ? 'locked' : ''} ${contrastClass}"
-                   data-hex="${c.hex}"
-                   data-mode="${mode}"
-                   style="background-color: ${c.hex}"
-                   title="${c.hex}">
-              </div>
-            `;
-          }).join('')}
-        </div>
-      </div>
-    ` : '';
+    const labels = { primary: 'Primary', neutral: 'Neutral' };
 
     return `
-      <div class="idtt-preview-card">
-        <div class="idtt-preview-header">${modeIcon} ${modeLabel}</div>
-        <div class="idtt-preview-section" style="background-color: ${tokens.bg || '#f7f7f7'}">
-          <div class="idtt-preview-eyebrow" style="color: ${tokens.mutedText || '#666'}">
-            Featured Section
-          </div>
-          <div class="idtt-preview-heading" style="color: ${tokens.heading || '#000'}">
-            Design System Preview
-          </div>
-          <div class="idtt-preview-body" style="color: ${tokens.text || '#333'}">
-            This preview demonstrates how your extracted color palette translates into a cohesive design system with proper contrast ratios for accessibility compliance.
-          </div>
-          <div class="idtt-preview-button" style="background-color: ${tokens.primary || '#0071e3'}; color: ${tokens.onPrimary || '#fff'}">
-            Primary Action
+      <div class="idtt-scales">
+        <h3>Tonal Scales</h3>
+        ${Object.entries(scales).map(([name, scale]) => `
+          <div class="idtt-scale">
+            <div class="idtt-scale-label">${labels[name] || name}</div>
+            <div class="idtt-scale-steps">
+              ${scale.map(s => {
+                const onWhite = s.contrastWhite >= 4.5;
+                return `
+                  <div class="idtt-scale-step" title="${s.hex}\n${s.contrastWhite.toFixed(2)}:1 on white\n${s.contrastBlack.toFixed(2)}:1 on black">
+                    <div class="idtt-scale-swatch" style="background-color: ${s.hex}; color: ${onWhite ? '#fff' : '#000'}">${s.step}</div>
+                    <div class="idtt-scale-hex">${s.hex}</div>
+                    <div class="idtt-scale-contrast">W ${s.contrastWhite.toFixed(1)} · B ${s.contrastBlack.toFixed(1)}</div>
+                  </div>
+                `;
+              }).join('')}
+            </div>
           </div>
-          <div class="idtt-preview-feature-card" style="
-            background-color: ${tokens.surface || '#fff'};
-            border: 1px solid ${tokens.border || '#e0e0e0'};
-          ">
-            <div class="idtt-preview-feature-title" style="color: ${tokens.heading || '#000'}">
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the tokens that were shifted on their own hue to reach contrast
+   */
+  function renderRepairs(repairs, contrastPolicy = createContrastPolicy()) {
+    if (!repairs || repairs.length === 0) return '';
+
+    const signed = (value, digits) => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(digits)}`;
+
+    return `
+      <div class="idtt-repairs">
+        <h3>Contrast Repairs</h3>
+        <p class="idtt-repairs-hint">These colors missed the target and were moved in OKLCH lightness (and chroma where needed), keeping their hue.</p>
+        <ul class="idtt-repairs-list">
+          ${repairs.map(r => `
+            <li class="idtt-repair${r.pass ? '' : ' fail'}">
+              <span class="idtt-repair-token">${THEME_VARIANTS.find(v => v.key === r.mode).label} · ${r.token}</span>
+              <span class="idtt-repair-swatch" style="background-color: ${r.from}" title="${r.from}"></span>
+              <span class="idtt-repair-arrow">→</span>
+              <span class="idtt-repair-swatch" style="background-color: ${r.to}" title="${r.to}"></span>
+              <span class="idtt-repair-hex">${r.from} → ${r.to}</span>
+              <span class="idtt-repair-amount">ΔL ${signed(r.deltaL, 2)} · ΔC ${signed(r.deltaC, 3)} · ${contrastPolicy.format(r.before)} → ${contrastPolicy.format(r.after)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Render ranked theme proposals as light/dark thumbnails
+   */
+  function renderThemeProposals(proposals) {
+    if (!proposals || proposals.length < 2) return '';
+
+    const thumbnail = (tokens) => `
+      <span class="idtt-proposal-half" style="background-color: ${tokens.bg}">
+        <span class="idtt-proposal-card" style="background-color: ${tokens.surface}; border-color: ${tokens.border}">
+          <span class="idtt-proposal-line heading" style="background-color: ${tokens.heading}"></span>
+          <span class="idtt-proposal-line" style="background-color: ${tokens.text}"></span>
+          <span class="idtt-proposal-line short" style="background-color: ${tokens.mutedText}"></span>
+          <span class="idtt-proposal-button" style="background-color: ${tokens.primary}"></span>
+        </span>
+      </span>
+    `;
+
+    return `
+      <div class="idtt-proposals">
+        <h3>Theme Proposals</h3>
+        <p class="idtt-proposals-hint">Alternatives from the same palette, ranked by contrast margin, closeness to the image's colors and hue variety. Click one to make it the main theme.</p>
+        <div class="idtt-proposals-list">
+          ${proposals.map((p, index) => `
+            <button type="button" class="idtt-proposal ${p.current ? 'current' : ''}" data-index="${index}" aria-pressed="${p.current}"
+                    title="Contrast margin ${Math.round(p.scores.margin * 100)}% · fidelity ${p.scores.fidelity.toFixed(2)} · hue variety ${p.scores.diversity.toFixed(2)}">
+              <span class="idtt-proposal-thumb">
+                ${thumbnail(p.light)}
+                ${thumbnail(p.dark)}
+              </span>
+              <span class="idtt-proposal-label">${index + 1}. ${escapeHtml(p.label)}</span>
+              <span class="idtt-proposal-score">Score ${p.score.toFixed(2)}${p.current ? ' · in use' : ''}</span>
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render harmony-based primary suggestions; clicking one locks it
+   */
+  function renderHarmonyPrimaries(harmonies, lockedHex, contrastPolicy = createContrastPolicy()) {
+    if (!harmonies || harmonies.length === 0) return '';
+
+    return `
+      <div class="idtt-harmonies">
+        <h3>Harmony Primaries</h3>
+        <p class="idtt-harmonies-hint">Primaries built around the palette's dominant hue. Click one to lock it as primary in both modes; badges show whether its label reads and it stands out on each mode's surface.</p>
+        <div class="idtt-harmonies-list">
+          ${harmonies.map(s => {
+            const isLocked = lockedHex && lockedHex.toLowerCase() === s.hex.toLowerCase();
+            return `
+              <button type="button" class="idtt-harmony ${isLocked ? 'locked' : ''}" data-hex="${s.hex}" aria-pressed="${Boolean(isLocked)}"
+                      title="${isLocked ? 'Click to unlock' : 'Click to lock as primary'}">
+                <span class="idtt-harmony-swatch" style="background-color: ${s.hex}; color: ${s.onPrimary}">Aa</span>
+                <span class="idtt-harmony-name">${s.label} · ${s.hue}°</span>
+                <span class="idtt-harmony-hex">${s.hex}</span>
+                <span class="idtt-harmony-values">${contrastPolicy.format(s.labelContrast)} label</span>
+                ${Object.entries(s.surfaces).map(([mode, surface]) => `
+                  <span class="idtt-harmony-mode">
+                    <span class="idtt-harmony-values">${contrastPolicy.format(surface.contrast)} on ${mode} surface</span>
+                    <span class="idtt-contrast-badge ${surface.pass ? 'pass' : 'fail'}">${surface.pass ? 'PASS' : 'FAIL'}</span>
+                  </span>
+                `).join('')}
+              </button>
+            `;
+          }).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render preview section
+   */
+  function renderPreview(tokens, mode, bgCandidates = [], lockedBgHex = null, contrastPolicy = createContrastPolicy(), simulation = 'none', trace = {}) {
+    const checks = getContrastChecks(tokens, contrastPolicy);
+    const variant = THEME_VARIANTS.find(v => v.key === mode) || THEME_VARIANTS[0];
+    const modeLabel = variant.label;
+    // Only the sample UI is simulated; checks and values stay the real tokens
+    const view = CVD_SIMULATIONS[simulation] ? simulateTokens(tokens, simulation) : tokens;
+    const simulationLabel = CVD_SIMULATIONS[simulation]
+      ? `<span class="idtt-preview-simulation">${CVD_SIMULATIONS[simulation].label} simulation</span>`
+      : '';
+    const modeIcon = variant.mode === 'light'
+      ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="5"/><line x1="12" y1="1" x2="12" y2="3"/><line x1="12" y1="21" x2="12" y2="23"/><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/><line x1="1" y1="12" x2="3" y2="12"/><line x1="21" y1="12" x2="23" y2="12"/><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/></svg>'
+      : '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>';
+
+    // Render background swatches if candidates available
+    const bgSwatchesHtml = bgCandidates.length > 0 ? `
+      <div class="idtt-bg-selector" data-mode="${mode}">
+        <div class="idtt-bg-selector-label">Background Options:</div>
+        <div class="idtt-bg-swatches">
+          ${bgCandidates.slice(0, 6).map(c => {
+            const isLocked = lockedBgHex && lockedBgHex.toLowerCase() === c.hex.toLowerCase();
+            const contrastClass = c.luminance > 0.5 ? 'light-bg' : 'dark-bg';
+            return `
+              <div class="idtt-bg-swatch ${isLocked ? 'locked' : ''} ${contrastClass}"
+                   data-hex="${c.hex}"
+                   data-mode="${mode}"
+                   style="background-color: ${c.hex}"
+                   title="${c.hex}">
+              </div>
+            `;
+          }).join('')}
+        </div>
+      </div>
+    ` : '';
+
+    return `
+      <div class="idtt-preview-card">
+        <div class="idtt-preview-header">${modeIcon} ${modeLabel} ${simulationLabel}</div>
+        <div class="idtt-preview-section" style="background-color: ${view.bg || '#f7f7f7'}">
+          <div class="idtt-preview-eyebrow" style="color: ${view.mutedText || '#666'}">
+            Featured Section
+          </div>
+          <div class="idtt-preview-heading" style="color: ${view.heading || '#000'}">
+            Design System Preview
+          </div>
+          <div class="idtt-preview-body" style="color: ${view.text || '#333'}">
+            This preview demonstrates how your extracted color palette translates into a cohesive design system with proper contrast ratios for accessibility compliance.
+          </div>
+          <div class="idtt-preview-actions">
+            <button type="button" class="idtt-preview-button idtt-preview-button-live" style="
+              --idtt-state-bg: ${view.primary || '#0071e3'};
+              --idtt-state-hover: ${view.primaryHover};
+              --idtt-state-active: ${view.primaryActive};
+              --idtt-state-ring: ${view.focusRing};
+              --idtt-state-page: ${view.bg || '#f7f7f7'};
+              color: ${view.onPrimary || '#fff'}">
+              Primary Action
+            </button>
+            <div class="idtt-preview-button" style="background-color: ${view.secondary}; color: ${view.onSecondary}">
+              Secondary
+            </div>
+            <div class="idtt-preview-button" style="background-color: ${view.tertiary}; color: ${view.onTertiary}">
+              Tertiary
+            </div>
+          </div>
+          <div class="idtt-preview-states">
+            ${[
+              ['Default', view.primary, view.onPrimary, ''],
+              ['Hover', view.primaryHover, view.onPrimary, ''],
+              ['Active', view.primaryActive, view.onPrimary, ''],
+              ['Focus', view.primary, view.onPrimary, `box-shadow: 0 0 0 2px ${view.bg}, 0 0 0 4px ${view.focusRing};`],
+              ['Disabled', view.disabledBg, view.disabledText, '']
+            ].map(([label, background, color, extra]) => `
+              <span class="idtt-preview-state" style="background-color: ${background}; color: ${color}; ${extra}">${label}</span>
+            `).join('')}
+          </div>
+          <div class="idtt-preview-feature-card" style="
+            background-color: ${view.surface || '#fff'};
+            border: 1px solid ${view.border || '#e0e0e0'};
+          ">
+            <div class="idtt-preview-feature-title" style="color: ${view.heading || '#000'}">
               Feature Card
             </div>
-            <div class="idtt-preview-feature-text" style="color: ${tokens.text || '#333'}">
+            <div class="idtt-preview-feature-text" style="color: ${view.text || '#333'}">
               Cards use the surface and border tokens.
             </div>
           </div>
+          ${view.surface1 ? `
+            <div class="idtt-preview-elevation">
+              ${['Card', 'Menu', 'Dialog', 'Popover'].reduceRight((inner, name, index) => `
+                <div class="idtt-preview-elevation-level" style="
+                  background-color: ${view['surface' + (index + 1)]};
+                  border: 1px solid ${view['border' + (index + 1)]};
+                ">
+                  <span style="color: ${view.heading}">${name}</span>
+                  <span style="color: ${view.mutedText}">surface-${index + 1}</span>
+                  ${inner}
+                </div>
+              `, '')}
+            </div>
+          ` : ''}
+          <div class="idtt-preview-alerts">
+            ${[
+              ['success', 'Saved', 'Your changes are live.'],
+              ['warning', 'Heads up', 'Your trial ends in 3 days.'],
+              ['danger', 'Error', 'The payment could not be processed.'],
+              ['info', 'Tip', 'Press / to search from anywhere.']
+            ].map(([status, title, message]) => `
+              <div class="idtt-preview-alert" style="background-color: ${view[status + 'Subtle']}; border-color: ${view[status]}">
+                <span class="idtt-preview-alert-badge" style="background-color: ${view[status]}; color: ${view['on' + status.charAt(0).toUpperCase() + status.slice(1)]}">${status}</span>
+                <strong style="color: ${view[status]}">${title}</strong>
+                <span style="color: ${view.text || '#333'}">${message}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+
+        ${bgSwatchesHtml}
+
+        <div style="padding: 16px; background: var(--idtt-surface);">
+          <h3 style="margin-bottom: 12px;">Contrast Checks</h3>
+          <div class="idtt-contrast-checks">
+            ${renderContrastChecks(checks, contrastPolicy)}
+          </div>
+
+          <h3 style="margin: 16px 0 12px 0;">Token Values</h3>
+          ${renderTokenTable(tokens, mode, trace)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Show input notices and token warnings in the warning banner
+   */
+  function renderWarningBanner() {
+    const warningBanner = document.getElementById('idtt-warning-banner');
+    const messages = [...notices.extraction, ...notices.files, ...tokenWarnings];
+    if (messages.length > 0) {
+      warningBanner.innerHTML = `
+        <strong>Warnings:</strong><br>
+        ${messages.map(w => '• ' + w).join('<br>')}
+      `;
+      warningBanner.classList.add('visible');
+    } else {
+      warningBanner.classList.remove('visible');
+    }
+  }
+
+  /**
+   * Report a problem with the user's input in the warning banner
+   * @param {string} source - 'extraction' | 'files'; each is cleared when that input is retried
+   * @param {string} html - Message; escape anything taken from file names
+   */
+  function addNotice(source, html) {
+    notices[source].push(html);
+    renderWarningBanner();
+  }
+
+  /**
+   * Drop a source's notices once that input is tried again
+   */
+  function clearNotices(source) {
+    if (notices[source].length === 0) return;
+    notices[source] = [];
+    renderWarningBanner();
+  }
+
+  /**
+   * Main render function
+   */
+  function computeAndRender() {
+    if (extractedPalette.length === 0) {
+      document.getElementById('idtt-preview-area').innerHTML = `
+        <div class="idtt-empty-state">
+          <div class="idtt-empty-state-icon">
+            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+              <path d="M12 2.69l5.66 5.66a8 8 0 1 1-11.31 0z"/>
+            </svg>
+          </div>
+          <h3>No palette generated yet</h3>
+          <p>Upload an image to get started</p>
         </div>
+      `;
+      document.getElementById('idtt-export-actions').style.display = 'none';
+      document.getElementById('idtt-promptless-cta').style.display = 'none';
+      tokenWarnings = [];
+      renderWarningBanner();
+      return;
+    }
+
+    const contrastPolicy = createContrastPolicy(contrastModel, conformanceLevel);
+    const highContrastPolicy = createContrastPolicy(contrastModel, 'AAA');
+    const result = generateTokens(extractedPalette, lockedPrimaryHex, lockedLightBgHex, lockedDarkBgHex, {
+      contrastPolicy,
+      tokenLocks: lockedTokens,
+      derivation: themeDerivation
+    });
+    currentTokens = result;
+
+    // Proposals cost several generateTokens runs; only rebuild them when
+    // the palette, locks, derivation or contrast target changed
+    const proposalSettings = {
+      lockedPrimary: lockedPrimaryHex,
+      lockedLightBg: lockedLightBgHex,
+      lockedDarkBg: lockedDarkBgHex,
+      derivation: themeDerivation,
+      tokenLocks: lockedTokens
+    };
+    const proposalKey = JSON.stringify([extractedPalette, proposalSettings, contrastModel, conformanceLevel]);
+    if (proposalCache.key !== proposalKey) {
+      proposalCache = {
+        key: proposalKey,
+        proposals: generateThemeProposals(extractedPalette, { ...proposalSettings, contrastPolicy }, result)
+      };
+    }
+    const proposals = proposalCache.proposals;
+
+    // Analyze palette for background filtering
+    const analyzedPalette = extractedPalette.map(c => ({
+      ...c,
+      hex: rgbToHex(c.r, c.g, c.b),
+      luminance: getLuminance(c.r, c.g, c.b),
+      saturation: getSaturation(c.r, c.g, c.b)
+    }));
+
+    // Get valid background candidates for each mode
+    // Pass tokens so we can check contrast against actual text colors
+    const lightBgCandidates = filterLightBgCandidates(analyzedPalette, result.light, contrastPolicy);
+    const darkBgCandidates = filterDarkBgCandidates(analyzedPalette, result.dark, contrastPolicy);
+
+    // Show warnings
+    tokenWarnings = result.warnings;
+    renderWarningBanner();
+
+    // Render previews with background candidates
+    document.getElementById('idtt-preview-area').innerHTML = `
+      ${renderThemeProposals(proposals)}
+      <div class="idtt-preview-container">
+        ${renderPreview(result.light, 'light', lightBgCandidates, lockedLightBgHex, contrastPolicy, cvdSimulation, result.trace.light)}
+        ${renderPreview(result.dark, 'dark', darkBgCandidates, lockedDarkBgHex, contrastPolicy, cvdSimulation, result.trace.dark)}
+        ${renderPreview(result.lightHighContrast, 'lightHighContrast', [], null, highContrastPolicy, cvdSimulation, result.trace.lightHighContrast)}
+        ${renderPreview(result.darkHighContrast, 'darkHighContrast', [], null, highContrastPolicy, cvdSimulation, result.trace.darkHighContrast)}
+      </div>
+      ${renderRepairs(result.repairs, contrastPolicy)}
+      ${renderHarmonyPrimaries(result.harmonies, lockedPrimaryHex, contrastPolicy)}
+      ${renderTonalScales(result.scales)}
+    `;
+
+    // Show export actions and CTA
+    document.getElementById('idtt-export-actions').style.display = 'flex';
+    document.getElementById('idtt-promptless-cta').style.display = 'block';
+
+    // Add copy button handlers with fallback for non-HTTPS
+    document.querySelectorAll('.idtt-copy-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const hex = btn.dataset.hex;
+        const copyToClipboard = (text) => {
+          if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+          }
+          // Fallback for non-HTTPS contexts
+          const textarea = document.createElement('textarea');
+          textarea.value = text;
+          textarea.style.position = 'fixed';
+          textarea.style.opacity = '0';
+          document.body.appendChild(textarea);
+          textarea.select();
+          document.execCommand('copy');
+          document.body.removeChild(textarea);
+          return Promise.resolve();
+        };
+
+        copyToClipboard(hex).then(() => {
+          const original = btn.textContent;
+          btn.textContent = 'Copied!';
+          setTimeout(() => btn.textContent = original, 1000);
+        }).catch(() => {
+          // Silent fail - button just won't show "Copied!"
+        });
+      });
+    });
+
+    // Applying a proposal takes over its primary, backgrounds and derivation
+    document.querySelectorAll('.idtt-proposal').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const proposal = proposals[parseInt(btn.dataset.index, 10)];
+        if (proposal.current) return;
+        lockedPrimaryHex = proposal.settings.lockedPrimary;
+        lockedLightBgHex = proposal.settings.lockedLightBg;
+        lockedDarkBgHex = proposal.settings.lockedDarkBg;
+        themeDerivation = { ...proposal.settings.derivation };
+        document.querySelectorAll('.idtt-theme-source').forEach(select => {
+          select.value = themeDerivation[select.dataset.mode];
+        });
+        renderPalette();
+        computeAndRender();
+      });
+    });
+
+    // Harmony primaries lock as primary, or unlock when clicked again
+    document.querySelectorAll('.idtt-harmony').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const hex = btn.dataset.hex;
+        lockedPrimaryHex = lockedPrimaryHex && lockedPrimaryHex.toLowerCase() === hex.toLowerCase() ? null : hex;
+        renderPalette();
+        computeAndRender();
+      });
+    });
+
+    // Show or hide why a token got its color
+    document.querySelectorAll('.idtt-token-why-toggle').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const details = btn.closest('tr').nextElementSibling;
+        const expanded = btn.getAttribute('aria-expanded') === 'true';
+        btn.setAttribute('aria-expanded', String(!expanded));
+        details.hidden = expanded;
+      });
+    });
+
+    // Lock, unlock or re-pick tokens from the token tables
+    document.querySelectorAll('.idtt-token-lock').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const { mode, token } = btn.dataset;
+        const row = btn.closest('tr');
+        const current = row.querySelector('.idtt-token-pick').value;
+        setTokenLock(mode, token, getTokenLock(mode, token) ? null : current);
+      });
+    });
+
+    document.querySelectorAll('.idtt-token-pick').forEach(input => {
+      input.addEventListener('change', () => {
+        setTokenLock(input.dataset.mode, input.dataset.token, input.value);
+      });
+    });
+
+    // Palette swatches dropped on a row lock that token to the swatch color
+    document.querySelectorAll('.idtt-token-lockable').forEach(row => {
+      row.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        row.classList.add('drop-target');
+      });
+
+      row.addEventListener('dragleave', () => {
+        row.classList.remove('drop-target');
+      });
+
+      row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        row.classList.remove('drop-target');
+        const color = extractedPalette[parseInt(e.dataTransfer.getData('text/plain'), 10)];
+        if (color) setTokenLock(row.dataset.mode, row.dataset.token, rgbToHex(color.r, color.g, color.b));
+      });
+    });
+
+    // Add background swatch click handlers
+    document.querySelectorAll('.idtt-bg-swatch').forEach(swatch => {
+      swatch.addEventListener('click', () => {
+        const hex = swatch.dataset.hex;
+        const mode = swatch.dataset.mode;
+
+        if (mode === 'light') {
+          // Toggle: click same color to unlock, different color to lock
+          if (lockedLightBgHex === hex) {
+            lockedLightBgHex = null;
+          } else {
+            lockedLightBgHex = hex;
+          }
+        } else if (mode === 'dark') {
+          if (lockedDarkBgHex === hex) {
+            lockedDarkBgHex = null;
+          } else {
+            lockedDarkBgHex = hex;
+          }
+        }
+
+        // Re-render with new locked background
+        computeAndRender();
+      });
+    });
+  }
+
+  // ============================================
+  // PALETTE EDITING
+  // ============================================
+
+  /**
+   * Median population of the current palette
+   * Colors added by hand get this so they neither dominate nor vanish
+   * from population-ranked choices like backgrounds.
+   */
+  function getTypicalPopulation() {
+    if (extractedPalette.length === 0) return 1;
+    const populations = extractedPalette.map(c => c.population).sort((a, b) => a - b);
+    return populations[Math.floor(populations.length / 2)];
+  }
+
+  /**
+   * Add a color to the palette and regenerate tokens
+   */
+  function addPaletteColor(rgb) {
+    extractedPalette.push({
+      r: rgb.r,
+      g: rgb.g,
+      b: rgb.b,
+      population: getTypicalPopulation(),
+      ...getColorFlags(rgb.r, rgb.g, rgb.b)
+    });
+
+    document.getElementById('idtt-save-palette-btn').disabled = false;
+    renderPalette();
+    computeAndRender();
+  }
+
+  /**
+   * Point any lock held on one palette color at another (or release it)
+   * @param {string} fromHex - Color the locks currently name
+   * @param {string|null} toHex - New color, or null to unlock
+   */
+  function moveLocks(fromHex, toHex) {
+    const matches = (hex) => hex && hex.toLowerCase() === fromHex.toLowerCase();
+    if (matches(lockedPrimaryHex)) lockedPrimaryHex = toHex;
+    if (matches(lockedLightBgHex)) lockedLightBgHex = toHex;
+    if (matches(lockedDarkBgHex)) lockedDarkBgHex = toHex;
+    Object.values(lockedTokens).forEach(locks => {
+      Object.keys(locks).forEach(token => {
+        if (matches(locks[token])) locks[token] = toHex;
+      });
+    });
+  }
+
+  /**
+   * Swap a palette entry for another color, keeping its population
+   * Locks follow the swatch to its new color.
+   */
+  function replacePaletteColor(index, rgb) {
+    const previous = extractedPalette[index];
+    if (!previous) return;
+
+    extractedPalette[index] = {
+      r: rgb.r,
+      g: rgb.g,
+      b: rgb.b,
+      population: previous.population,
+      ...getColorFlags(rgb.r, rgb.g, rgb.b)
+    };
+
+    moveLocks(rgbToHex(previous.r, previous.g, previous.b), rgbToHex(rgb.r, rgb.g, rgb.b));
+
+    renderPalette();
+    computeAndRender();
+  }
+
+  /**
+   * Delete a palette entry, releasing any lock on it
+   */
+  function removePaletteColor(index) {
+    const removed = extractedPalette[index];
+    if (!removed) return;
+
+    extractedPalette.splice(index, 1);
+    moveLocks(rgbToHex(removed.r, removed.g, removed.b), null);
+
+    document.getElementById('idtt-save-palette-btn').disabled = extractedPalette.length === 0;
+    renderPalette();
+    computeAndRender();
+  }
+
+  /**
+   * Move a palette entry to a new position
+   * Order is only how swatches are listed and saved; each color keeps its
+   * population, so reordering never changes which tokens get picked.
+   */
+  function movePaletteColor(fromIndex, toIndex) {
+    if (fromIndex === toIndex || !extractedPalette[fromIndex]) return;
+
+    const [moved] = extractedPalette.splice(fromIndex, 1);
+    extractedPalette.splice(toIndex, 0, moved);
+
+    renderPalette();
+  }
+
+  // ============================================
+  // EXTRACTION PIPELINE
+  // ============================================
+
+  /**
+   * Run the full extraction pipeline over histogram cells
+   * @param {Array} cells - Occupied cells from getHistogramCells
+   * @param {string} algorithm - 'median-cut' (sRGB) or 'kmeans-oklab' (perceptual)
+   * @param {Function} onProgress - Called with (stage, fraction) as each stage starts
+   * @returns {Array} Final palette, strongest colors first
+   */
+  function extractPalette(cells, algorithm = 'median-cut', onProgress = () => {}) {
+    onProgress('Quantizing colors', 0.2);
+    let palette = algorithm === 'kmeans-oklab'
+      ? kMeansOklab(cells, 20)
+      : medianCut(cells.slice(), 20);
+    palette = removeDuplicates(palette, 4);
+
+    // Pass 1: Extract vibrant colors (population-based)
+    onProgress('Finding vibrant colors', 0.6);
+    const vibrantColors = extractVibrantColors(cells, palette);
+
+    if (vibrantColors.length > 0) {
+      palette = [...palette, ...vibrantColors];
+      palette = removeDuplicates(palette, 6);
+    }
+
+    // Pass 2: Extract brand colors (saturation-based, no population requirement)
+    onProgress('Finding brand colors', 0.8);
+    const brandColors = extractBrandColors(cells, palette);
+
+    if (brandColors.length > 0) {
+      palette = [...palette, ...brandColors];
+      palette = removeDuplicates(palette, 5);
+    }
+
+    palette.sort((a, b) => {
+      const aBoost = a.isBrandColor ? 2.5 : (a.isVibrant ? 2.0 : 1);
+      const bBoost = b.isBrandColor ? 2.5 : (b.isVibrant ? 2.0 : 1);
+      return (b.population * bBoost) - (a.population * aBoost);
+    });
+
+    return palette.slice(0, 16);
+  }
+
+  /**
+   * Sample one or more images and extract a combined palette
+   * This is the entry point the extraction worker runs.
+   * @param {Array} images - [{ id, data, width, height, weight }]
+   * @returns {Array} Palette entries, each with `sources` ([{ id, share }])
+   */
+  function runExtraction(images, algorithm, onProgress = () => {}) {
+    onProgress('Sampling pixels', 0);
+    const histograms = images.map(image => buildHistogram(image));
+    const scales = getPoolScales(histograms, images.map(image => image.weight));
+    const cells = getHistogramCells(poolHistograms(histograms, scales));
+
+    const palette = extractPalette(cells, algorithm, onProgress);
+
+    onProgress('Attributing colors to images', 0.9);
+    const sources = attributeSources(palette, histograms, scales, images.map(image => image.id));
+
+    onProgress('Done', 1);
+    return palette.map((c, i) => ({ ...c, sources: sources[i] }));
+  }
+
+  // ============================================
+  // EXTRACTION WORKER
+  // ============================================
+
+  // Functions serialized into the worker - everything runExtraction calls
+  // Constants they read are prepended by createExtractionWorker
+  const WORKER_FUNCTIONS = [
+    getSaturation, rgbToHsl, isSimilarHue,
+    srgbToLinear, linearToSrgb, rgbToOklab, oklabToRgb, perceptualDistance,
+    buildHistogram, getHistogramCells, getPoolScales, poolHistograms,
+    attributeSources, averageTopCells, getCellsTotal,
+    findLargestRange, medianCut, kMeansOklab,
+    removeDuplicates, extractVibrantColors, extractBrandColors,
+    extractPalette, runExtraction
+  ];
+
+  let extractionWorker = null;
+  let extractionWorkerUrl = null;
+  let extractionRunId = 0;
+
+  /**
+   * Message handler installed inside the worker
+   * Never called on the main thread - it is serialized with WORKER_FUNCTIONS.
+   */
+  function extractionWorkerMain() {
+    self.onmessage = (e) => {
+      const { id, images, algorithm } = e.data;
+      const imageData = images.map(image => ({
+        ...image,
+        data: new Uint8ClampedArray(image.buffer)
+      }));
+
+      try {
+        const palette = runExtraction(imageData, algorithm, (stage, progress) => {
+          self.postMessage({ id, type: 'progress', stage, progress });
+        });
+        self.postMessage({ id, type: 'done', palette });
+      } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message });
+      }
+    };
+  }
+
+  /**
+   * Build the extraction worker from a Blob so it ships inside app.js
+   * A worker the page's CSP blocks still comes back here; it fails later,
+   * through onerror, which startExtraction handles.
+   * @returns {Worker|null} Null when the browser lacks Worker or Blob support
+   */
+  function createExtractionWorker() {
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
+
+    const constants = { HISTOGRAM_BITS, HISTOGRAM_SHIFT, HISTOGRAM_SIZE, VIBRANT_MIN_SHARE, BRAND_TOP_SHARE };
+    const source = "'use strict';\n\n" +
+      Object.entries(constants).map(([name, value]) => `const ${name} = ${value};`).join('\n') + '\n\n' +
+      WORKER_FUNCTIONS.map(fn => fn.toString()).join('\n\n') +
+      '\n\n(' + extractionWorkerMain.toString() + ')();';
+
+    try {
+      extractionWorkerUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+      return new Worker(extractionWorkerUrl);
+    } catch (e) {
+      console.error('Extraction worker unavailable, falling back to main thread:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Stop the in-flight extraction (if any) by terminating its worker
+   * Bumping the run id also silences a pending main-thread fallback run.
+   */
+  function cancelExtraction() {
+    extractionRunId++;
+    if (extractionWorker) {
+      extractionWorker.terminate();
+      extractionWorker = null;
+    }
+    if (extractionWorkerUrl) {
+      URL.revokeObjectURL(extractionWorkerUrl);
+      extractionWorkerUrl = null;
+    }
+  }
+
+  /**
+   * Hide the progress bar and tell the user extraction failed
+   */
+  function failExtraction(message) {
+    console.error('Palette extraction failed:', message);
+    renderExtractionProgress(null);
+    addNotice('extraction', `The palette could not be extracted: ${escapeHtml(message)}`);
+  }
+
+  /**
+   * Extract a palette off the main thread
+   * Starting a new run cancels the previous one; its callbacks never fire.
+   * If the worker cannot start or dies, the run is repeated on the main
+   * thread from freshly built images, since the first set was transferred.
+   * @param {Function} buildImages - Returns fresh [{ id, data, width, height, weight }]; their buffers are transferred to the worker
+   * @param {string} algorithm - Quantization algorithm
+   * @param {Function} onProgress - Called with (stage, fraction)
+   * @param {Function} onDone - Called with the extracted palette
+   */
+  function startExtraction(buildImages, algorithm, onProgress, onDone) {
+    cancelExtraction();
+    clearNotices('extraction');
+    const runId = ++extractionRunId;
+
+    // Synchronous run, started after the progress UI paints
+    const runOnMainThread = (id) => {
+      onProgress('Quantizing colors', 0);
+      setTimeout(() => {
+        if (id !== extractionRunId) return;
+        let palette;
+        try {
+          palette = runExtraction(buildImages(), algorithm);
+        } catch (err) {
+          failExtraction(err.message);
+          return;
+        }
+        onDone(palette);
+      }, 0);
+    };
+
+    extractionWorker = createExtractionWorker();
+
+    if (!extractionWorker) {
+      runOnMainThread(runId);
+      return;
+    }
+
+    // A CSP-blocked script or an error outside the worker's try/catch
+    const onWorkerFailure = (e) => {
+      if (runId !== extractionRunId) return;
+      if (e && e.preventDefault) e.preventDefault();
+      console.error('Extraction worker failed, falling back to main thread:', e && e.message);
+      cancelExtraction();
+      runOnMainThread(extractionRunId);
+    };
+    extractionWorker.onerror = onWorkerFailure;
+    extractionWorker.onmessageerror = onWorkerFailure;
+
+    extractionWorker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.id !== runId || runId !== extractionRunId) return;
+
+      if (msg.type === 'progress') {
+        onProgress(msg.stage, msg.progress);
+      } else if (msg.type === 'done') {
+        cancelExtraction();
+        onDone(msg.palette);
+      } else if (msg.type === 'error') {
+        cancelExtraction();
+        failExtraction(msg.message);
+      }
+    };
+
+    const payload = buildImages().map(image => ({
+      id: image.id,
+      buffer: image.data.buffer,
+      width: image.width,
+      height: image.height,
+      weight: image.weight
+    }));
+    extractionWorker.postMessage({
+      id: runId,
+      images: payload,
+      algorithm
+    }, payload.map(image => image.buffer));
+  }
+
+  /**
+   * Show extraction progress in the upload panel (pass null to hide)
+   */
+  function renderExtractionProgress(stage, progress = 0) {
+    const container = document.getElementById('idtt-extraction-progress');
+    if (!container) return;
+
+    if (stage === null) {
+      container.classList.remove('visible');
+      return;
+    }
+
+    container.classList.add('visible');
+    container.querySelector('.idtt-progress-fill').style.width = Math.round(progress * 100) + '%';
+    container.querySelector('.idtt-progress-label').textContent = stage;
+  }
+
+  // ============================================
+  // REGION SELECTION
+  // ============================================
+
+  /**
+   * Get the image shown in the thumbnail (the one selections apply to)
+   */
+  function getActiveImage() {
+    return sourceImages.find(image => image.id === activeImageId) || null;
+  }
+
+  /**
+   * Trace a region's outline on a 2D context, scaled to the given size
+   * Region points are stored normalized (0-1) so they survive any resize.
+   */
+  function traceRegionPath(ctx, region, width, height) {
+    ctx.beginPath();
+
+    if (region.shape === 'rect') {
+      const [a, b] = region.points;
+      ctx.rect(a.x * width, a.y * height, (b.x - a.x) * width, (b.y - a.y) * height);
+      return;
+    }
+
+    region.points.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(p.x * width, p.y * height);
+      else ctx.lineTo(p.x * width, p.y * height);
+    });
+    ctx.closePath();
+  }
+
+  // Last selection mask per image, so runs that keep the selection skip the rasterizing
+  const selectionMasks = new WeakMap();
+
+  /**
+   * One byte per pixel, 1 where the regions select it
+   * With no include regions the whole image starts selected. The mask is
+   * cached per image until its regions change.
+   */
+  function getSelectionMask(imageData, regions) {
+    const key = JSON.stringify(regions);
+    const cached = selectionMasks.get(imageData);
+    if (cached && cached.key === key) return cached.mask;
+
+    const { width, height } = imageData;
+    const maskCanvas = document.createElement('canvas');
+    maskCanvas.width = width;
+    maskCanvas.height = height;
+    const ctx = maskCanvas.getContext('2d');
+
+    const hasInclude = regions.some(r => r.mode === 'include');
+    ctx.fillStyle = hasInclude ? '#000' : '#fff';
+    ctx.fillRect(0, 0, width, height);
+
+    // Includes first, then excludes, so an exclusion always wins where they overlap
+    ['include', 'exclude'].forEach(mode => {
+      ctx.fillStyle = mode === 'include' ? '#fff' : '#000';
+      regions.filter(r => r.mode === mode).forEach(region => {
+        traceRegionPath(ctx, region, width, height);
+        ctx.fill();
+      });
+    });
+
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const mask = new Uint8Array(width * height);
+    for (let p = 0; p < mask.length; p++) {
+      mask[p] = pixels[p * 4] < 128 ? 0 : 1;
+    }
+
+    selectionMasks.set(imageData, { key, mask });
+    return mask;
+  }
+
+  /**
+   * Copy image pixels, hiding everything outside the selection
+   * Pixels outside it get alpha 0, which buildHistogram already skips.
+   * @returns {Object} Fresh { data, width, height } safe to hand to startExtraction
+   */
+  function getSelectedPixels(imageData, regions) {
+    const { width, height } = imageData;
+    const data = new Uint8ClampedArray(imageData.data);
+
+    if (regions.length === 0) return { data, width, height };
+
+    const mask = getSelectionMask(imageData, regions);
+    for (let p = 0; p < mask.length; p++) {
+      if (!mask[p]) data[p * 4 + 3] = 0;
+    }
+
+    return { data, width, height };
+  }
+
+  /**
+   * Draw the selection regions over the thumbnail
+   */
+  function renderSelectionOverlay(draft = null) {
+    const canvas = document.getElementById('idtt-selection-canvas');
+    if (!canvas) return;
+
+    const rect = canvas.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(rect.width * ratio);
+    canvas.height = Math.round(rect.height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.lineWidth = 2 * ratio;
+
+    const activeImage = getActiveImage();
+    const committed = activeImage ? activeImage.regions : [];
+    const regions = draft ? [...committed, draft] : committed;
+    regions.forEach(region => {
+      const include = region.mode === 'include';
+      traceRegionPath(ctx, region, canvas.width, canvas.height);
+      ctx.fillStyle = include ? 'rgba(34, 197, 94, 0.2)' : 'rgba(239, 68, 68, 0.35)';
+      ctx.strokeStyle = include ? '#16a34a' : '#dc2626';
+      ctx.setLineDash(region === draft ? [6 * ratio, 4 * ratio] : []);
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    const clearBtn = document.getElementById('idtt-selection-clear');
+    if (clearBtn) clearBtn.disabled = committed.length === 0;
+  }
+
+  /**
+   * Wire up drawing rectangles and lassos on the thumbnail overlay
+   */
+  function initRegionSelection() {
+    const canvas = document.getElementById('idtt-selection-canvas');
+    const toolbar = document.getElementById('idtt-selection-toolbar');
+    if (!canvas || !toolbar) return;
+
+    let draft = null;
+
+    const toPoint = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+        y: Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height))
+      };
+    };
+
+    toolbar.querySelectorAll('[data-tool]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        // Click the active tool again to put it away
+        thumbnailTool = thumbnailTool === btn.dataset.tool ? null : btn.dataset.tool;
+        toolbar.querySelectorAll('[data-tool]').forEach(b => {
+          b.classList.toggle('active', b.dataset.tool === thumbnailTool);
+        });
+        canvas.classList.toggle('active', thumbnailTool !== null);
+      });
+    });
+
+    document.getElementById('idtt-selection-mode').addEventListener('change', (e) => {
+      selectionMode = e.target.value;
+    });
+
+    document.getElementById('idtt-selection-clear').addEventListener('click', () => {
+      const activeImage = getActiveImage();
+      if (!activeImage) return;
+      activeImage.regions = [];
+      renderSelectionOverlay();
+      extractAndRender();
+    });
+
+    canvas.addEventListener('pointerdown', (e) => {
+      const activeImage = getActiveImage();
+      if (!thumbnailTool || !activeImage || !activeImage.imageData) return;
+      e.preventDefault();
+
+      if (thumbnailTool === 'eyedropper') {
+        const point = toPoint(e);
+        const size = parseInt(document.getElementById('idtt-eyedropper-size').value, 10);
+        const sample = sampleImageColor(activeImage.imageData, point.x, point.y, size);
+        if (sample) {
+          pickedColor = sample;
+          renderPickedColor();
+        }
+        return;
+      }
+
+      canvas.setPointerCapture(e.pointerId);
+
+      const point = toPoint(e);
+      draft = {
+        shape: thumbnailTool,
+        mode: selectionMode,
+        points: thumbnailTool === 'rect' ? [point, point] : [point]
+      };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!draft) return;
+      const point = toPoint(e);
+
+      if (draft.shape === 'rect') {
+        draft.points[1] = point;
+      } else {
+        const last = draft.points[draft.points.length - 1];
+        if (Math.hypot(point.x - last.x, point.y - last.y) > 0.005) {
+          draft.points.push(point);
+        }
+      }
+
+      renderSelectionOverlay(draft);
+    });
+
+    const finishDraft = () => {
+      if (!draft) return;
+
+      const [a, b] = draft.points;
+      const isUsable = draft.shape === 'rect'
+        ? Math.abs(b.x - a.x) > 0.01 && Math.abs(b.y - a.y) > 0.01
+        : draft.points.length >= 3;
+
+      if (isUsable) {
+        if (draft.shape === 'rect') {
+          // Normalize so the first point is always top-left
+          draft.points = [
+            { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y) },
+            { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y) }
+          ];
+        }
+        getActiveImage().regions.push(draft);
+      }
+
+      draft = null;
+      renderSelectionOverlay();
+      if (isUsable) extractAndRender();
+    };
+
+    canvas.addEventListener('pointerup', finishDraft);
+    canvas.addEventListener('pointercancel', () => {
+      draft = null;
+      renderSelectionOverlay();
+    });
+
+    // The overlay is sized from the rendered thumbnail, so redraw whenever that changes
+    document.getElementById('idtt-thumbnail').addEventListener('load', () => renderSelectionOverlay());
+    window.addEventListener('resize', () => renderSelectionOverlay());
+  }
+
+  // ============================================
+  // SVG INPUT
+  // ============================================
+
+  // Elements whose children are never painted directly
+  const SVG_NON_RENDERED = 'defs, clipPath, mask, symbol, pattern, marker, linearGradient, radialGradient';
+  const SVG_SHAPES = 'rect, circle, ellipse, line, polyline, polygon, path, text';
+
+  const SVG_MAX_USE_DEPTH = 8;  // Nested <use> passes before giving up
+
+  /**
+   * Remove CSS that could fetch: @import rules, and url() or image-set()
+   * pointing anywhere but an element of the same document (#id)
+   */
+  function stripExternalCss(css) {
+    return css
+      .replace(/@import[^;]*;?/gi, '')
+      .replace(/image-set\([^)]*\)/gi, 'none')
+      .replace(/url\((?!\s*['"]?\s*#)[^)]*\)/gi, 'none');
+  }
+
+  /**
+   * Strip anything that could execute or load a resource once the SVG is
+   * rendered. Only same-document references (#id) survive.
+   */
+  function sanitizeSvg(svg) {
+    svg.querySelectorAll('script, foreignObject, iframe').forEach(el => el.remove());
+    svg.querySelectorAll('style').forEach(style => {
+      style.textContent = stripExternalCss(style.textContent);
+    });
+    [svg, ...svg.querySelectorAll('*')].forEach(el => {
+      Array.from(el.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        const isExternalHref = (name === 'href' || name === 'xlink:href') && !attr.value.trim().startsWith('#');
+        if (name.startsWith('on') || isExternalHref) {
+          el.removeAttribute(attr.name);
+          return;
+        }
+        const cleaned = stripExternalCss(attr.value);
+        if (cleaned !== attr.value) el.setAttribute(attr.name, cleaned);
+      });
+    });
+  }
+
+  /**
+   * Replace each rendered <use> with a group holding a copy of what it
+   * references, so symbol + use icons are measured like inline shapes.
+   * The use's own attributes stay on the group for inheritance. Each group
+   * records the ids it expanded, so a use that refers back to one of its
+   * own ancestors is dropped instead of copied again.
+   */
+  function resolveSvgUses(svg) {
+    for (let depth = 0; depth < SVG_MAX_USE_DEPTH; depth++) {
+      const uses = Array.from(svg.querySelectorAll('use')).filter(use => !use.closest(SVG_NON_RENDERED));
+      if (uses.length === 0) return;
+
+      uses.forEach(use => {
+        const href = (use.getAttribute('href') || use.getAttribute('xlink:href') || '').trim();
+        const id = href.startsWith('#') ? href.slice(1) : '';
+        const expanded = use.parentElement.closest('[data-idtt-use]');
+        const chain = expanded ? expanded.getAttribute('data-idtt-use').split(' ') : [];
+        if (!id || chain.includes(id)) {
+          use.remove();
+          return;
+        }
+
+        const target = svg.querySelector(`[id="${CSS.escape(id)}"]`);
+        const group = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('data-idtt-use', [...chain, id].join(' '));
+
+        Array.from(use.attributes).forEach(attr => {
+          const name = attr.name.toLowerCase();
+          if (!['href', 'xlink:href', 'x', 'y', 'width', 'height', 'id', 'transform'].includes(name)) {
+            group.setAttribute(attr.name, attr.value);
+          }
+        });
+        const x = parseFloat(use.getAttribute('x')) || 0;
+        const y = parseFloat(use.getAttribute('y')) || 0;
+        group.setAttribute('transform', `${use.getAttribute('transform') || ''} translate(${x} ${y})`.trim());
+
+        if (target && !target.contains(use)) {
+          // A symbol is a template; its children are what gets drawn
+          const parts = target.nodeName.toLowerCase() === 'symbol'
+            ? Array.from(target.childNodes)
+            : [target];
+          parts.forEach(part => {
+            const copy = part.cloneNode(true);
+            if (copy.removeAttribute) copy.removeAttribute('id');
+            group.appendChild(copy);
+          });
+        }
+        use.replaceWith(group);
+      });
+    }
+  }
+
+  /**
+   * Read the colors an SVG declares, weighted by the area painted with each
+   * Fill, stroke, stop-color and inline styles are resolved through computed
+   * styles, so <style> rules and inheritance are honored too. Areas come from
+   * bounding boxes, so they are approximate but comparable between shapes.
+   * The SVG is rendered in a blank, script-less iframe so its CSS and the
+   * admin page's CSS never reach each other.
+   * @param {string} svgText - SVG source
+   * @returns {Array} Declared colors as { r, g, b, population } (population = area)
+   */
+  function parseSvgColors(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    const svg = doc.documentElement;
+    if (!svg || svg.nodeName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) {
+      return [];
+    }
+
+    sanitizeSvg(svg);
+    resolveSvgUses(svg);
+
+    // getBBox and computed styles need the SVG rendered, so attach it to an
+    // invisible iframe while measuring. The CSP blocks any fetch the
+    // sanitizer missed.
+    const host = document.createElement('iframe');
+    host.setAttribute('sandbox', 'allow-same-origin');
+    host.setAttribute('aria-hidden', 'true');
+    host.style.cssText = 'position:absolute;left:-10000px;top:0;width:1000px;height:1000px;border:0;visibility:hidden;';
+    document.body.appendChild(host);
+
+    const frameDoc = host.contentDocument;
+    const csp = frameDoc.createElement('meta');
+    csp.setAttribute('http-equiv', 'Content-Security-Policy');
+    csp.setAttribute('content', "default-src 'none'; style-src 'unsafe-inline'");
+    frameDoc.head.appendChild(csp);
+    frameDoc.body.appendChild(frameDoc.importNode(svg, true));
+
+    const root = frameDoc.body.firstChild;
+    const getComputedStyle = (el) => host.contentWindow.getComputedStyle(el);
+    const areas = {};
+    const addArea = (rgb, area) => {
+      if (!rgb || rgb.alpha <= 0 || !(area > 0)) return;
+      const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+      areas[hex] = (areas[hex] || 0) + area * rgb.alpha;
+    };
+
+    // A gradient paint shares its area evenly between its stops
+    const addPaint = (paint, opacity, area) => {
+      const ref = /url\(["']?#([^"')]+)["']?\)/.exec(paint || '');
+      if (!ref) {
+        const rgb = parseCssColor(paint);
+        if (rgb) addArea({ ...rgb, alpha: rgb.alpha * opacity }, area);
+        return;
+      }
+
+      const gradient = root.querySelector(`[id="${CSS.escape(ref[1])}"]`);
+      const stops = gradient ? Array.from(gradient.querySelectorAll('stop')) : [];
+      stops.forEach(stop => {
+        const style = getComputedStyle(stop);
+        const rgb = parseCssColor(style.stopColor || stop.getAttribute('stop-color'));
+        const stopOpacity = parseFloat(style.stopOpacity || '1');
+        if (rgb) addArea({ ...rgb, alpha: rgb.alpha * stopOpacity * opacity }, area / stops.length);
+      });
+    };
+
+    try {
+      root.querySelectorAll(SVG_SHAPES).forEach(el => {
+        if (el.closest(SVG_NON_RENDERED)) return;
+
+        const style = getComputedStyle(el);
+        if (style.display === 'none') return;
+
+        let box;
+        try {
+          box = el.getBBox();
+        } catch (e) {
+          return;
+        }
+
+        // Scale user units by the element's transform so nested groups compare fairly
+        const ctm = el.getCTM();
+        const scale = ctm ? Math.abs(ctm.a * ctm.d - ctm.b * ctm.c) : 1;
+        const tag = el.nodeName.toLowerCase();
+        const isRound = tag === 'circle' || tag === 'ellipse';
+        const fillArea = box.width * box.height * (isRound ? Math.PI / 4 : 1) * scale;
+        const opacity = parseFloat(style.opacity || '1');
+
+        if (tag !== 'line') {
+          addPaint(style.fill, parseFloat(style.fillOpacity || '1') * opacity, fillArea);
+        }
+
+        const strokeWidth = parseFloat(style.strokeWidth) || 0;
+        if (strokeWidth > 0) {
+          const perimeter = tag === 'line'
+            ? Math.hypot(box.width, box.height)
+            : (isRound ? Math.PI * (box.width + box.height) / 2 : 2 * (box.width + box.height));
+          addPaint(style.stroke, parseFloat(style.strokeOpacity || '1') * opacity,
+            perimeter * strokeWidth * scale);
+        }
+      });
+    } finally {
+      host.remove();
+    }
+
+    return Object.entries(areas).map(([hex, area]) => ({
+      ...hexToRgb(hex),
+      population: area
+    }));
+  }
+
+  /**
+   * Merge colors declared by SVG sources into an extracted palette
+   * Each SVG contributes `weight x reference` population spread by area, so it
+   * competes with raster images on the same scale as pooled histograms.
+   * @param {Array} palette - Palette from raster extraction (may be empty)
+   * @param {Array} svgImages - SVG sources ({ id, weight, svgColors })
+   * @param {number} reference - Pixel count a weight-1 image contributes
+   */
+  function mergeDeclaredColors(palette, svgImages, reference) {
+    const merged = palette.map(c => ({ ...c, sources: (c.sources || []).slice() }));
+
+    svgImages.forEach(image => {
+      const totalArea = image.svgColors.reduce((sum, c) => sum + c.population, 0);
+      if (totalArea === 0 || image.weight === 0) return;
+
+      image.svgColors.forEach(color => {
+        const population = color.population / totalArea * image.weight * reference;
+        const existing = merged.find(c => perceptualDistance(c, color) < 2);
+
+        if (existing) {
+          // Re-weight the existing attribution before adding this image's share
+          const combined = existing.population + population;
+          existing.sources = existing.sources.map(s => ({ ...s, share: s.share * existing.population / combined }));
+          existing.sources.push({ id: image.id, share: population / combined });
+          existing.population = combined;
+        } else {
+          merged.push({
+            r: color.r,
+            g: color.g,
+            b: color.b,
+            population,
+            ...getColorFlags(color.r, color.g, color.b),
+            sources: [{ id: image.id, share: 1 }]
+          });
+        }
+      });
+    });
+
+    merged.sort((a, b) => {
+      const aBoost = a.isBrandColor ? 2.5 : (a.isVibrant ? 2.0 : 1);
+      const bBoost = b.isBrandColor ? 2.5 : (b.isVibrant ? 2.0 : 1);
+      return (b.population * bBoost) - (a.population * aBoost);
+    });
+
+    return merged.slice(0, 16);
+  }
+
+  // ============================================
+  // EYEDROPPER
+  // ============================================
+
+  /**
+   * Sample the average color of a small square of full-resolution pixels
+   * @param {ImageData} imageData - Source image pixels
+   * @param {number} nx - Normalized x (0-1)
+   * @param {number} ny - Normalized y (0-1)
+   * @param {number} size - Square edge in pixels (1, 3, 5...)
+   * @returns {Object|null} { r, g, b } or null if the area is transparent
+   */
+  function sampleImageColor(imageData, nx, ny, size = 1) {
+    const { width, height, data } = imageData;
+    const cx = Math.min(width - 1, Math.floor(nx * width));
+    const cy = Math.min(height - 1, Math.floor(ny * height));
+    const half = Math.floor(size / 2);
+    let r = 0, g = 0, b = 0, count = 0;
+
+    for (let y = Math.max(0, cy - half); y <= Math.min(height - 1, cy + half); y++) {
+      for (let x = Math.max(0, cx - half); x <= Math.min(width - 1, cx + half); x++) {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] < 128) continue;
+        r += data[i];
+        g += data[i + 1];
+        b += data[i + 2];
+        count++;
+      }
+    }
+
+    if (count === 0) return null;
+
+    return {
+      r: Math.round(r / count),
+      g: Math.round(g / count),
+      b: Math.round(b / count)
+    };
+  }
+
+  /**
+   * Show the last sampled color with its add/replace actions
+   */
+  function renderPickedColor() {
+    const panel = document.getElementById('idtt-eyedropper-result');
+    if (!panel) return;
+
+    if (!pickedColor) {
+      panel.classList.remove('visible');
+      return;
+    }
+
+    const hex = rgbToHex(pickedColor.r, pickedColor.g, pickedColor.b);
+    panel.classList.add('visible');
+    panel.querySelector('.idtt-eyedropper-swatch').style.backgroundColor = hex;
+    panel.querySelector('.idtt-eyedropper-hex').textContent = hex;
+    panel.querySelector('[data-action="replace"]').classList.toggle('active', replacingWithPicked);
+  }
+
+  /**
+   * Wire up the eyedropper result actions
+   */
+  function initEyedropper() {
+    const panel = document.getElementById('idtt-eyedropper-result');
+    if (!panel) return;
+
+    panel.querySelector('[data-action="add"]').addEventListener('click', () => {
+      if (!pickedColor) return;
+      addPaletteColor(pickedColor);
+      replacingWithPicked = false;
+      renderPickedColor();
+    });
+
+    // Replace is two-step: arm it here, then click the swatch to swap out
+    panel.querySelector('[data-action="replace"]').addEventListener('click', () => {
+      if (!pickedColor || extractedPalette.length === 0) return;
+      replacingWithPicked = !replacingWithPicked;
+      renderPickedColor();
+      renderPalette();
+    });
+
+    panel.querySelector('[data-action="dismiss"]').addEventListener('click', () => {
+      pickedColor = null;
+      replacingWithPicked = false;
+      renderPickedColor();
+      renderPalette();
+    });
+  }
+
+  // ============================================
+  // COLOR LIST INPUT
+  // ============================================
+
+  // Role names accepted after a color, mapped to what they lock
+  const COLOR_ROLES = {
+    'primary': 'primary',
+    'brand primary': 'primary',
+    'accent': 'primary',
+    'brand': 'brand',
+    'bg': 'light-bg',
+    'background': 'light-bg',
+    'light bg': 'light-bg',
+    'light background': 'light-bg',
+    'dark bg': 'dark-bg',
+    'dark background': 'dark-bg'
+  };
+
+  // Population given to the first listed color; each later one gets one step less
+  const SYNTHETIC_POPULATION_STEP = 1000;
+
+  /**
+   * Parse a typed list of colors with optional roles
+   * One color per line (or separated by semicolons), e.g. "#0055ff primary",
+   * "oklch(0.97 0.01 90) background" or "dark bg: hsl(220 30% 12%)".
+   * @param {string} text - Raw textarea contents
+   * @returns {Object} { colors: [{ r, g, b, role }], errors: [string] }
+   */
+  function parseColorList(text) {
+    const colors = [];
+    const errors = [];
+    const colorPattern = /#[a-f\d]{3,8}\b|(?:rgba?|hsla?|oklch)\([^)]*\)/i;
+
+    text.split(/[\n;]+/).forEach(rawEntry => {
+      const entry = rawEntry.replace(/\/\/.*$/, '').trim();
+      if (!entry) return;
+
+      let match = colorPattern.exec(entry);
+      let colorText = match ? match[0] : null;
+      let roleText = match ? entry.slice(0, match.index) + ' ' + entry.slice(match.index + match[0].length) : '';
+
+      // No hex or function: the first or last word may be a named color
+      if (!colorText) {
+        const words = entry.split(/\s+/);
+        const named = [words[0], words[words.length - 1]].find(word => parseCssColor(word.replace(/[:=,]/g, '')));
+        if (named) {
+          colorText = named.replace(/[:=,]/g, '');
+          roleText = entry.replace(named, ' ');
+        }
+      }
+
+      const rgb = colorText ? parseCssColor(colorText) : null;
+      if (!rgb) {
+        errors.push(`Not a color: "${entry}"`);
+        return;
+      }
+
+      const roleKey = roleText.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+      const role = roleKey ? COLOR_ROLES[roleKey] : null;
+      if (roleKey && !role) {
+        errors.push(`Unknown role "${roleKey}" for ${colorText}`);
+      }
+
+      colors.push({ r: rgb.r, g: rgb.g, b: rgb.b, role: role || null });
+    });
+
+    return { colors, errors };
+  }
+
+  /**
+   * Turn parsed colors into a palette, listed order standing in for population
+   * Colors tagged "brand" are always flagged as brand colors.
+   */
+  function colorListToPalette(colors) {
+    return colors.map((c, i) => {
+      const flags = getColorFlags(c.r, c.g, c.b);
+      return {
+        r: c.r,
+        g: c.g,
+        b: c.b,
+        population: (colors.length - i) * SYNTHETIC_POPULATION_STEP,
+        isVibrant: flags.isVibrant || c.role === 'brand',
+        isBrandColor: flags.isBrandColor || c.role === 'brand',
+        ...(c.name ? { name: c.name } : {})
+      };
+    });
+  }
+
+  /**
+   * Use the typed colors as the palette, applying their roles as locks
+   */
+  function applyColorList() {
+    const input = document.getElementById('idtt-colors-text');
+    const status = document.getElementById('idtt-colors-status');
+    const { colors, errors } = parseColorList(input.value);
+
+    status.textContent = errors.join('\n');
+    status.classList.toggle('visible', errors.length > 0);
+
+    cancelExtraction();
+    renderExtractionProgress(null);
+
+    const hexFor = (role) => {
+      const c = colors.find(color => color.role === role);
+      return c ? rgbToHex(c.r, c.g, c.b) : null;
+    };
+
+    extractedPalette = colorListToPalette(colors);
+    lockedPrimaryHex = hexFor('primary');
+    lockedLightBgHex = hexFor('light-bg');
+    lockedDarkBgHex = hexFor('dark-bg');
+    lockedTokens = { light: {}, dark: {} };
+
+    document.getElementById('idtt-save-palette-btn').disabled = extractedPalette.length === 0;
+    renderPalette();
+    computeAndRender();
+  }
+
+  /**
+   * Switch between extracting from images and typing colors
+   * @param {string} mode - 'image' | 'colors'
+   */
+  function setInputMode(mode) {
+    inputMode = mode;
+    document.querySelectorAll('[data-input-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.inputMode === mode);
+    });
+    document.getElementById('idtt-image-pane').hidden = mode !== 'image';
+    document.getElementById('idtt-colors-pane').hidden = mode !== 'colors';
+
+    if (mode === 'colors') {
+      applyColorList();
+    } else {
+      extractAndRender();
+    }
+  }
+
+  /**
+   * Label each conformance level with its body text minimum in the active
+   * contrast model, so the options never show ratios for an Lc scale
+   */
+  function updateConformanceLabels() {
+    document.querySelectorAll('#idtt-conformance-level option').forEach(option => {
+      const policy = createContrastPolicy(contrastModel, option.value);
+      option.textContent = `${option.dataset.label} (${policy.format(policy.body)})`;
+    });
+  }
+
+  // ============================================
+  // SWATCH FILE IMPORT
+  // ============================================
 
-        ${bgSwatchesHtml}
+  const SWATCH_EXTENSIONS = ['ase', 'gpl', 'aco'];
 
-        <div style="padding: 16px; background: var(--idtt-surface);">
-          <h3 style="margin-bottom: 12px;">Contrast Checks</h3>
-          <div class="idtt-contrast-checks">
-            ${renderContrastChecks(checks)}
-          </div>
+  function getSwatchFormat(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return SWATCH_EXTENSIONS.includes(extension) ? extension : null;
+  }
 
-          <h3 style="margin: 16px 0 12px 0;">Token Values</h3>
-          ${renderTokenTable(tokens, mode)}
-        </div>
-      </div>
-    `;
+  /**
+   * Convert CMYK fractions (0-1) to sRGB with the naive device formula
+   */
+  function cmykToRgb(c, m, y, k) {
+    return {
+      r: Math.round(255 * (1 - c) * (1 - k)),
+      g: Math.round(255 * (1 - m) * (1 - k)),
+      b: Math.round(255 * (1 - y) * (1 - k))
+    };
   }
 
   /**
-   * Main render function
+   * Parse an Adobe Swatch Exchange file
+   * Big-endian blocks; color entries carry a UTF-16 name, a 4-char model
+   * and float32 components. Group start/end blocks are skipped.
+   * @param {ArrayBuffer} buffer
+   * @returns {Array} [{ r, g, b, name }]
    */
-  function computeAndRender() {
-    if (extractedPalette.length === 0) {
-      document.getElementById('idtt-preview-area').innerHTML = `
-        <div class="idtt-empty-state">
-          <div class="idtt-empty-state-icon">
-            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-              <path d="M12 2.69l5.66 5.66a8 8 0 1 1-11.31 0z"/>
-            </svg>
-          </div>
-          <h3>No palette generated yet</h3>
-          <p>Upload an image to get started</p>
-        </div>
-      `;
-      document.getElementById('idtt-export-actions').style.display = 'none';
-      document.getElementById('idtt-promptless-cta').style.display = 'none';
-      return;
+  function parseAse(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 12 || view.getUint32(0) !== 0x41534546) { // 'ASEF'
+      throw new Error('Not an Adobe Swatch Exchange file');
     }
 
-    const result = generateTokens(extractedPalette, lockedPrimaryHex, lockedLightBgHex, lockedDarkBgHex);
-    currentTokens = result;
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let offset = 12;
 
-    // Analyze palette for background filtering
-    const analyzedPalette = extractedPalette.map(c => ({
-      ...c,
-      hex: rgbToHex(c.r, c.g, c.b),
-      luminance: getLuminance(c.r, c.g, c.b),
-      saturation: getSaturation(c.r, c.g, c.b)
-    }));
+    for (let i = 0; i < blockCount && offset + 6 <= buffer.byteLength; i++) {
+      const type = view.getUint16(offset);
+      const length = view.getUint32(offset + 2);
+      let p = offset + 6;
+      offset = p + length;
 
-    // Get valid background candidates for each mode
-    // Pass tokens so we can check contrast against actual text colors
-    const lightBgCandidates = filterLightBgCandidates(analyzedPalette, result.light);
-    const darkBgCandidates = filterDarkBgCandidates(analyzedPalette, result.dark);
+      if (type !== 0x0001) continue;
 
-    // Show warnings
-    const warningBanner = document.getElementById('idtt-warning-banner');
-    if (result.warnings.length > 0) {
-      warningBanner.innerHTML = `
-        <strong>Warnings:</strong><br>
-        ${result.warnings.map(w => '• ' + w).join('<br>')}
-      `;
-      warningBanner.classList.add('visible');
-    } else {
-      warningBanner.classList.remove('visible');
-    }
+      const nameLength = view.getUint16(p);
+      p += 2;
+      let name = '';
+      for (let c = 0; c < nameLength; c++) {
+        const code = view.getUint16(p + c * 2);
+        if (code !== 0) name += String.fromCharCode(code);
+      }
+      p += nameLength * 2;
+
+      const model = String.fromCharCode(
+        view.getUint8(p), view.getUint8(p + 1), view.getUint8(p + 2), view.getUint8(p + 3)
+      ).trim();
+      p += 4;
+      const value = (n) => view.getFloat32(p + n * 4);
+
+      let rgb = null;
+      if (model === 'RGB') {
+        rgb = {
+          r: Math.round(Math.max(0, Math.min(1, value(0))) * 255),
+          g: Math.round(Math.max(0, Math.min(1, value(1))) * 255),
+          b: Math.round(Math.max(0, Math.min(1, value(2))) * 255)
+        };
+      } else if (model === 'CMYK') {
+        rgb = cmykToRgb(value(0), value(1), value(2), value(3));
+      } else if (model === 'LAB') {
+        rgb = labToRgb(value(0) * 100, value(1), value(2));
+      } else if (model === 'Gray') {
+        const gray = Math.round(Math.max(0, Math.min(1, value(0))) * 255);
+        rgb = { r: gray, g: gray, b: gray };
+      }
 
-    // Render previews with background candidates
-    document.getElementById('idtt-preview-area').innerHTML = `
-      <div class="idtt-preview-container">
-        ${renderPreview(result.light, 'light', lightBgCandidates, lockedLightBgHex)}
-        ${renderPreview(result.dark, 'dark', darkBgCandidates, lockedDarkBgHex)}
-      </div>
-    `;
+      if (rgb) colors.push({ ...rgb, name });
+    }
 
-    // Show export actions and CTA
-    document.getElementById('idtt-export-actions').style.display = 'flex';
-    document.getElementById('idtt-promptless-cta').style.display = 'block';
+    return colors;
+  }
 
-    // Add copy button handlers with fallback for non-HTTPS
-    document.querySelectorAll('.idtt-copy-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const hex = btn.dataset.hex;
-        const copyToClipboard = (text) => {
-          if (navigator.clipboard && navigator.clipboard.writeText) {
-            return navigator.clipboard.writeText(text);
-          }
-          // Fallback for non-HTTPS contexts
-          const textarea = document.createElement('textarea');
-          textarea.value = text;
-          textarea.style.position = 'fixed';
-          textarea.style.opacity = '0';
-          document.body.appendChild(textarea);
-          textarea.select();
-          document.execCommand('copy');
-          document.body.removeChild(textarea);
-          return Promise.resolve();
-        };
+  /**
+   * Parse a GIMP / Inkscape palette
+   * Text lines of "R G B [name]" after a "GIMP Palette" header.
+   * @param {string} text
+   * @returns {Array} [{ r, g, b, name }]
+   */
+  function parseGpl(text) {
+    const lines = text.split(/\r?\n/);
+    if (!/^GIMP Palette/.test(lines[0].trim())) {
+      throw new Error('Not a GIMP palette file');
+    }
 
-        copyToClipboard(hex).then(() => {
-          const original = btn.textContent;
-          btn.textContent = 'Copied!';
-          setTimeout(() => btn.textContent = original, 1000);
-        }).catch(() => {
-          // Silent fail - button just won't show "Copied!"
-        });
-      });
+    const colors = [];
+    lines.slice(1).forEach(line => {
+      const match = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(line);
+      if (!match) return;   // Name:, Columns:, comments and blanks
+      const [r, g, b] = match.slice(1, 4).map(v => Math.min(255, parseInt(v, 10)));
+      const name = match[4].trim();
+      colors.push({ r, g, b, name: name === 'Untitled' ? '' : name });
     });
 
-    // Add background swatch click handlers
-    document.querySelectorAll('.idtt-bg-swatch').forEach(swatch => {
-      swatch.addEventListener('click', () => {
-        const hex = swatch.dataset.hex;
-        const mode = swatch.dataset.mode;
+    return colors;
+  }
 
-        if (mode === 'light') {
-          // Toggle: click same color to unlock, different color to lock
-          if (lockedLightBgHex === hex) {
-            lockedLightBgHex = null;
-          } else {
-            lockedLightBgHex = hex;
-          }
-        } else if (mode === 'dark') {
-          if (lockedDarkBgHex === hex) {
-            lockedDarkBgHex = null;
-          } else {
-            lockedDarkBgHex = hex;
+  /**
+   * Parse a Photoshop color swatch file
+   * A version 1 section (no names) is usually followed by a version 2 section
+   * repeating the colors with UTF-16 names; the named one wins when present.
+   * @param {ArrayBuffer} buffer
+   * @returns {Array} [{ r, g, b, name }]
+   */
+  function parseAco(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < 4 || view.getUint16(0) !== 1 && view.getUint16(0) !== 2) {
+      throw new Error('Not a Photoshop swatch file');
+    }
+
+    const toRgb = (space, w, x, y, z) => {
+      switch (space) {
+        case 0: // RGB, 0-65535
+          return { r: Math.round(w / 257), g: Math.round(x / 257), b: Math.round(y / 257) };
+        case 1: { // HSB, hue 0-65535 around the wheel
+          const h = w / 65536 * 360;
+          const s = x / 65535;
+          const v = y / 65535;
+          const l = v * (1 - s / 2);
+          const sl = l === 0 || l === 1 ? 0 : (v - l) / Math.min(l, 1 - l);
+          return hslToRgb(h, sl, l);
+        }
+        case 2: // CMYK, 0 = full ink
+          return cmykToRgb(1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535);
+        case 7: // Lab, L 0-10000, a/b signed hundredths
+          return labToRgb(w / 100, (x << 16 >> 16) / 100, (y << 16 >> 16) / 100);
+        case 8: { // Grayscale, 0-10000 of black
+          const gray = Math.round((1 - w / 10000) * 255);
+          return { r: gray, g: gray, b: gray };
+        }
+        default:
+          return null;
+      }
+    };
+
+    let offset = 0;
+    let colors = [];
+
+    while (offset + 4 <= buffer.byteLength) {
+      const version = view.getUint16(offset);
+      const count = view.getUint16(offset + 2);
+      offset += 4;
+      if (version !== 1 && version !== 2) break;
+
+      const section = [];
+      for (let i = 0; i < count && offset + 10 <= buffer.byteLength; i++) {
+        const values = [0, 1, 2, 3, 4].map(n => view.getUint16(offset + n * 2));
+        offset += 10;
+
+        let name = '';
+        if (version === 2) {
+          const nameLength = view.getUint32(offset);
+          offset += 4;
+          for (let c = 0; c < nameLength; c++) {
+            const code = view.getUint16(offset + c * 2);
+            if (code !== 0) name += String.fromCharCode(code);
           }
+          offset += nameLength * 2;
         }
 
-        // Re-render with new locked background
-        computeAndRender();
+        const rgb = toRgb(...values);
+        if (rgb) section.push({ ...rgb, name });
+      }
+
+      if (version === 2 || colors.length === 0) colors = section;
+    }
+
+    return colors;
+  }
+
+  /**
+   * Replace the palette with the swatches from one or more swatch files
+   * File order, then swatch order, stands in for population. The images on
+   * the mood board are dropped so a later image action cannot re-extract
+   * over the imported colors.
+   */
+  function importSwatchFiles(files) {
+    Promise.all(files.map(file => file.arrayBuffer().then(buffer => {
+      const format = getSwatchFormat(file);
+      try {
+        if (format === 'ase') return parseAse(buffer);
+        if (format === 'aco') return parseAco(buffer);
+        return parseGpl(new TextDecoder().decode(buffer));
+      } catch (e) {
+        console.error(`Error reading ${file.name}:`, e);
+        addNotice('files', `${escapeHtml(file.name)} could not be read: ${escapeHtml(e.message)}`);
+        return [];
+      }
+    }))).then(results => {
+      // Approved colors stay as-is; only exact repeats across files are dropped
+      const seen = new Set();
+      const swatches = results.flat().filter(c => {
+        const hex = rgbToHex(c.r, c.g, c.b);
+        if (seen.has(hex)) return false;
+        seen.add(hex);
+        return true;
       });
+      if (swatches.length === 0) return;
+
+      cancelExtraction();
+      renderExtractionProgress(null);
+      clearSourceImages();
+
+      // A curated file is imported whole; the extraction cap does not apply
+      extractedPalette = colorListToPalette(swatches);
+      lockedPrimaryHex = null;
+      lockedLightBgHex = null;
+      lockedDarkBgHex = null;
+      lockedTokens = { light: {}, dark: {} };
+
+      document.getElementById('idtt-save-palette-btn').disabled = false;
+      renderPalette();
+      computeAndRender();
+    }).catch(e => {
+      console.error('Error importing swatches:', e);
+      addNotice('files', `The swatch files could not be read: ${escapeHtml(e.message)}`);
     });
   }
 
@@ -1849,6 +5894,250 @@
   // IMAGE PROCESSING
   // ============================================
 
+  /**
+   * Extract the combined palette from all images and render the result
+   * Typed colors are the palette while that input is active; the images
+   * wait until the user switches back.
+   */
+  function extractAndRender() {
+    if (inputMode === 'colors') return;
+
+    if (sourceImages.length === 0) {
+      cancelExtraction();
+      renderExtractionProgress(null);
+      extractedPalette = [];
+      pickedColor = null;
+      replacingWithPicked = false;
+      renderPickedColor();
+      document.getElementById('idtt-save-palette-btn').disabled = true;
+      renderPalette();
+      computeAndRender();
+      return;
+    }
+
+    const rasterImages = sourceImages.filter(image => image.imageData);
+    const svgImages = sourceImages.filter(image => image.svgColors);
+    const reference = rasterImages.length > 0
+      ? Math.max(...rasterImages.map(image => image.imageData.width * image.imageData.height))
+      : 10000;
+
+    const applyPalette = (palette) => {
+      renderExtractionProgress(null);
+      extractedPalette = svgImages.length > 0
+        ? mergeDeclaredColors(palette, svgImages, reference)
+        : palette;
+
+      // Enable buttons
+      document.getElementById('idtt-save-palette-btn').disabled = false;
+
+      // Reset locked colors
+      lockedPrimaryHex = null;
+      lockedLightBgHex = null;
+      lockedDarkBgHex = null;
+      lockedTokens = { light: {}, dark: {} };
+
+      // Render
+      renderPalette();
+      computeAndRender();
+    };
+
+    // SVGs alone need no pixel work - their colors are already declared
+    if (rasterImages.length === 0) {
+      cancelExtraction();
+      applyPalette([]);
+      return;
+    }
+
+    const buildImages = () => rasterImages.map(image => ({
+      id: image.id,
+      weight: image.weight,
+      ...getSelectedPixels(image.imageData, image.regions)
+    }));
+
+    startExtraction(buildImages, extractionAlgorithm, renderExtractionProgress, applyPalette);
+  }
+
+  /**
+   * Show the active image in the thumbnail (or hide it when there are none)
+   */
+  function renderActiveImage() {
+    const container = document.getElementById('idtt-thumbnail-container');
+    const activeImage = getActiveImage();
+
+    if (!activeImage) {
+      container.classList.remove('visible');
+      return;
+    }
+
+    const thumbnail = document.getElementById('idtt-thumbnail');
+    if (thumbnail.src !== activeImage.src) {
+      thumbnail.src = activeImage.src;
+    }
+    container.classList.add('visible');
+
+    // Region selection only applies to raster pixels; SVG colors are declared
+    document.getElementById('idtt-selection-toolbar').classList.toggle('hidden', !activeImage.imageData);
+    renderSelectionOverlay();
+  }
+
+  /**
+   * Render the mood board strip with per-image weight sliders
+   * Only shown once there is more than one image to balance.
+   */
+  function renderImageStrip() {
+    const strip = document.getElementById('idtt-image-strip');
+    if (!strip) return;
+
+    if (sourceImages.length < 2) {
+      strip.innerHTML = '';
+      strip.classList.remove('visible');
+      return;
+    }
+
+    strip.classList.add('visible');
+    strip.innerHTML = sourceImages.map((image, index) => {
+      const percent = Math.round(image.weight * 100);
+      return `
+        <div class="idtt-image-strip-item ${image.id === activeImageId ? 'active' : ''}" data-id="${image.id}">
+          <div class="idtt-image-strip-thumb" title="${escapeHtml(image.name)}">
+            <img src="${image.src}" alt="">
+            <span class="idtt-image-number">${index + 1}</span>
+            <button type="button" class="idtt-image-remove" data-id="${image.id}" title="Remove image">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+              </svg>
+            </button>
+          </div>
+          <input type="range" class="idtt-image-weight" min="0" max="200" step="10" value="${percent}"
+                 data-id="${image.id}" aria-label="Weight of image ${index + 1}">
+          <span class="idtt-image-weight-value">${percent}%</span>
+        </div>
+      `;
+    }).join('');
+
+    strip.querySelectorAll('.idtt-image-strip-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('.idtt-image-remove, .idtt-image-weight')) return;
+        activeImageId = item.dataset.id;
+        renderImageStrip();
+        renderActiveImage();
+      });
+    });
+
+    strip.querySelectorAll('.idtt-image-remove').forEach(btn => {
+      btn.addEventListener('click', () => {
+        sourceImages = sourceImages.filter(image => image.id !== btn.dataset.id);
+        if (!getActiveImage()) {
+          activeImageId = sourceImages.length > 0 ? sourceImages[sourceImages.length - 1].id : null;
+        }
+        renderImageStrip();
+        renderActiveImage();
+        extractAndRender();
+      });
+    });
+
+    strip.querySelectorAll('.idtt-image-weight').forEach(slider => {
+      const label = slider.nextElementSibling;
+      slider.addEventListener('input', () => {
+        label.textContent = slider.value + '%';
+      });
+      // Re-extract once the user lets go, not on every step
+      slider.addEventListener('change', () => {
+        const image = sourceImages.find(img => img.id === slider.dataset.id);
+        if (!image) return;
+        image.weight = parseInt(slider.value, 10) / 100;
+        extractAndRender();
+      });
+    });
+  }
+
+  /**
+   * Add uploaded images to the mood board and re-extract
+   */
+  function addImages(files) {
+    clearNotices('files');
+    const swatchFiles = Array.from(files).filter(file => getSwatchFormat(file));
+    if (swatchFiles.length > 0) {
+      importSwatchFiles(swatchFiles);
+    }
+
+    const images = Array.from(files).filter(file => file.type.startsWith('image/'));
+    const available = MAX_IMAGES - sourceImages.length;
+
+    if (images.length > available) {
+      addNotice('files', `You can combine up to ${MAX_IMAGES} images. Remove one to add another.`);
+    }
+
+    images.slice(0, Math.max(0, available)).forEach(file => {
+      if (file.type === 'image/svg+xml') {
+        processSvg(file);
+      } else {
+        processImage(file);
+      }
+    });
+  }
+
+  /**
+   * Add a loaded source to the mood board, make it active and re-extract
+   * Loading is async, so the image limit is checked again here: two quick
+   * drops can each have seen room for their images.
+   */
+  function addSourceImage(image) {
+    if (sourceImages.length >= MAX_IMAGES) {
+      addNotice('files', `${escapeHtml(image.name)} was not added: you can combine up to ${MAX_IMAGES} images.`);
+      return;
+    }
+    sourceImages.push(image);
+    activeImageId = image.id;
+
+    renderImageStrip();
+    renderActiveImage();
+    extractAndRender();
+  }
+
+  /**
+   * Empty the mood board once the palette comes from somewhere else
+   */
+  function clearSourceImages() {
+    sourceImages = [];
+    activeImageId = null;
+    pickedColor = null;
+    replacingWithPicked = false;
+    renderPickedColor();
+    renderImageStrip();
+    renderActiveImage();
+  }
+
+  /**
+   * Read an SVG's declared colors instead of rasterizing it
+   */
+  function processSvg(file) {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      const svgText = e.target.result;
+      const svgColors = parseSvgColors(svgText);
+
+      if (svgColors.length === 0) {
+        addNotice('files', `No colors could be read from ${escapeHtml(file.name)}.`);
+        return;
+      }
+
+      addSourceImage({
+        id: generateId('img'),
+        name: file.name,
+        src: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgText),
+        imageData: null,
+        svgColors,
+        weight: 1,
+        regions: []
+      });
+    };
+
+    reader.readAsText(file);
+  }
+
   function processImage(file) {
     const reader = new FileReader();
 
@@ -1856,16 +6145,13 @@
       const img = new Image();
 
       img.onload = () => {
-        // Show thumbnail
-        const thumbnail = document.getElementById('idtt-thumbnail');
-        thumbnail.src = e.target.result;
-        document.getElementById('idtt-thumbnail-container').classList.add('visible');
-
-        // Downscale for processing
+        // Draw for processing
         const canvas = document.getElementById('idtt-processing-canvas');
         const ctx = canvas.getContext('2d');
 
-        const maxSize = 200;
+        // Histogram sampling is linear in pixel count, so images are processed at
+        // full resolution; the cap only guards against browser canvas size limits
+        const maxSize = 4096;
         let width = img.width;
         let height = img.height;
 
@@ -1886,49 +6172,15 @@
 
         ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = extractPixels(imageData);
-
-        originalPixels = pixels;
-
-        let palette = medianCut(pixels, 20);
-        palette = removeDuplicates(palette, 30);
-
-        // Pass 1: Extract vibrant colors (population-based)
-        const vibrantColors = extractVibrantColors(pixels, palette);
-
-        if (vibrantColors.length > 0) {
-          palette = [...palette, ...vibrantColors];
-          palette = removeDuplicates(palette, 45);
-        }
-
-        // Pass 2: Extract brand colors (saturation-based, no population requirement)
-        const brandColors = extractBrandColors(pixels, palette);
-
-        if (brandColors.length > 0) {
-          palette = [...palette, ...brandColors];
-          palette = removeDuplicates(palette, 40);
-        }
-
-        palette.sort((a, b) => {
-          const aBoost = a.isBrandColor ? 2.5 : (a.isVibrant ? 2.0 : 1);
-          const bBoost = b.isBrandColor ? 2.5 : (b.isVibrant ? 2.0 : 1);
-          return (b.population * bBoost) - (a.population * aBoost);
+        addSourceImage({
+          id: generateId('img'),
+          name: file.name,
+          src: e.target.result,
+          imageData: ctx.getImageData(0, 0, canvas.width, canvas.height),
+          svgColors: null,
+          weight: 1,
+          regions: []
         });
-
-        extractedPalette = palette.slice(0, 16);
-
-        // Enable buttons
-        document.getElementById('idtt-save-palette-btn').disabled = false;
-
-        // Reset locked colors
-        lockedPrimaryHex = null;
-        lockedLightBgHex = null;
-        lockedDarkBgHex = null;
-
-        // Render
-        renderPalette();
-        computeAndRender();
       };
 
       img.src = e.target.result;
@@ -1997,12 +6249,55 @@
     const fileInput = document.getElementById('idtt-file-input');
     const savePaletteBtn = document.getElementById('idtt-save-palette-btn');
     const copyCssBtn = document.getElementById('idtt-copy-css-btn');
+    const algorithmSelect = document.getElementById('idtt-algorithm-select');
 
     // File input change
     fileInput.addEventListener('change', (e) => {
-      const file = e.target.files[0];
-      if (file) processImage(file);
+      addImages(e.target.files);
+      // Reset so picking the same file again still fires change
+      fileInput.value = '';
+    });
+
+    // Extraction algorithm
+    algorithmSelect.addEventListener('change', () => {
+      extractionAlgorithm = algorithmSelect.value;
+      extractAndRender();
+    });
+
+    // Contrast model
+    document.getElementById('idtt-contrast-model').addEventListener('change', (e) => {
+      contrastModel = e.target.value;
+      updateConformanceLabels();
+      computeAndRender();
+    });
+
+    // Conformance level
+    document.getElementById('idtt-conformance-level').addEventListener('change', (e) => {
+      conformanceLevel = e.target.value;
+      computeAndRender();
+    });
+    updateConformanceLabels();
+
+    document.getElementById('idtt-cvd-simulation').addEventListener('change', (e) => {
+      cvdSimulation = e.target.value;
+      computeAndRender();
+    });
+
+    // Theme source per mode
+    document.querySelectorAll('.idtt-theme-source').forEach(select => {
+      select.addEventListener('change', () => {
+        themeDerivation = { ...themeDerivation, [select.dataset.mode]: select.value };
+        computeAndRender();
+      });
+    });
+
+    // Image or typed colors
+    document.querySelectorAll('[data-input-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.inputMode !== inputMode) setInputMode(btn.dataset.inputMode);
+      });
     });
+    document.getElementById('idtt-colors-apply').addEventListener('click', applyColorList);
 
     // Upload zone click
     uploadZone.addEventListener('click', () => fileInput.click());
@@ -2021,10 +6316,7 @@
       e.preventDefault();
       uploadZone.classList.remove('dragover');
 
-      const file = e.dataTransfer.files[0];
-      if (file && file.type.startsWith('image/')) {
-        processImage(file);
-      }
+      addImages(e.dataTransfer.files);
     });
 
     // Save palette button
@@ -2086,6 +6378,9 @@
       document.body.removeChild(textarea);
     }
 
+    initRegionSelection();
+    initEyedropper();
+
     // Initialize saved palettes list
     renderSavedPalettes();
   });